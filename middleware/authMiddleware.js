@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const pool = require('../config/db');
 
 // Initialize Firebase Admin
 let serviceAccount;
@@ -124,6 +125,29 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Optional authenticate middleware (sets req.user when a valid token is sent,
+// lets the request through anonymously otherwise)
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  const idToken = authHeader.split('Bearer ')[1];
+
+  if (!idToken || idToken === 'null' || idToken === 'undefined') {
+    return next();
+  }
+
+  try {
+    req.user = await auth.verifyIdToken(idToken);
+  } catch (error) {
+    console.error('optionalAuthenticate: Ignoring invalid token:', error.message);
+  }
+  next();
+};
+
 // Authorize user middleware (checks UID match)
 const authorizeUser = (req, res, next) => {
   const requestedUid = req.params.uid;
@@ -145,4 +169,38 @@ const authorizeUser = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, authorizeUser };
\ No newline at end of file
+// Firebase uids granted the Admin role on top of their account role
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '')
+  .split(',')
+  .map(uid => uid.trim())
+  .filter(Boolean);
+
+// Require role middleware (checks users.role, or ADMIN_UIDS for Admin; use after authenticate)
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (roles.includes('Admin') && ADMIN_UIDS.includes(req.user.uid)) {
+      req.user.role = 'Admin';
+      return next();
+    }
+
+    const [rows] = await pool.query('SELECT role FROM users WHERE uid = ?', [req.user.uid]);
+
+    if (rows.length === 0 || !roles.includes(rows[0].role)) {
+      console.error(`requireRole: ❌ ${req.user.uid} is not ${roles.join(' or ')}`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This resource is only available to ${roles.join(' or ')} accounts`,
+      });
+    }
+
+    req.user.role = rows[0].role;
+    next();
+  } catch (error) {
+    console.error('requireRole: Error checking role:', error.message);
+    res.status(500).json({ error: 'Failed to check user role' });
+  }
+};
+
+const requireAdmin = requireRole('Admin');
+
+module.exports = { authenticate, optionalAuthenticate, authorizeUser, requireRole, requireAdmin };
\ No newline at end of file
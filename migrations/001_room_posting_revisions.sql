@@ -0,0 +1,9 @@
+-- Change history for room postings edited through PUT/PATCH /api/rooms/:roomId
+CREATE TABLE IF NOT EXISTS room_posting_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  uid VARCHAR(128) NOT NULL,
+  changes JSON NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_room_posting_revisions_room (roomId, createdAt)
+);
@@ -0,0 +1,5 @@
+-- Room posting lifecycle: draft, active, paused, rented, expired
+ALTER TABLE room_postings
+  MODIFY status ENUM('draft', 'active', 'paused', 'rented', 'expired') NOT NULL DEFAULT 'active',
+  ADD COLUMN statusChangedAt DATETIME NULL AFTER status,
+  ADD INDEX idx_room_postings_status (status, subscriptionId);
@@ -0,0 +1,5 @@
+-- Coordinates for radius and map-bounds search
+ALTER TABLE room_postings
+  ADD COLUMN latitude DECIMAL(10, 7) NULL AFTER address,
+  ADD COLUMN longitude DECIMAL(10, 7) NULL AFTER latitude,
+  ADD INDEX idx_room_postings_coordinates (latitude, longitude);
@@ -0,0 +1,10 @@
+-- Keyword search over title, description and amenities.
+-- JSON columns cannot be full-text indexed, so amenities get a plain-text copy.
+ALTER TABLE room_postings
+  ADD COLUMN amenitiesText TEXT NULL AFTER amenities;
+
+UPDATE room_postings
+SET amenitiesText = amenities;
+
+ALTER TABLE room_postings
+  ADD FULLTEXT INDEX ft_room_postings_search (title, description, amenitiesText);
@@ -0,0 +1,17 @@
+-- Named room filters that alert their owner when a matching room is posted
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  uid VARCHAR(128) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  location VARCHAR(255) NULL,
+  roomType VARCHAR(100) NULL,
+  minPrice DECIMAL(10, 2) NULL,
+  maxPrice DECIMAL(10, 2) NULL,
+  amenities JSON NULL,
+  isPaused TINYINT(1) NOT NULL DEFAULT 0,
+  lastNotifiedAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_saved_searches_uid (uid),
+  INDEX idx_saved_searches_match (isPaused, location, roomType)
+);
@@ -0,0 +1,9 @@
+-- Renter shortlists. No foreign key to room_postings: favorites of deleted
+-- rooms are kept so they can be shown as unavailable.
+CREATE TABLE IF NOT EXISTS room_favorites (
+  uid VARCHAR(128) NOT NULL,
+  roomId INT NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (uid, roomId),
+  INDEX idx_room_favorites_room (roomId)
+);
@@ -0,0 +1,19 @@
+-- Managed room images uploaded through POST /api/room-images.
+-- roomId stays NULL until a posting references the image in imageIds.
+CREATE TABLE IF NOT EXISTS room_images (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  uid VARCHAR(128) NOT NULL,
+  roomId INT NULL,
+  storageKey VARCHAR(255) NOT NULL,
+  url VARCHAR(512) NOT NULL,
+  mediumUrl VARCHAR(512) NOT NULL,
+  thumbnailUrl VARCHAR(512) NOT NULL,
+  width INT NOT NULL,
+  height INT NOT NULL,
+  bytes INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  isCover TINYINT(1) NOT NULL DEFAULT 0,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_room_images_room (roomId, position),
+  INDEX idx_room_images_uid (uid)
+);
@@ -0,0 +1,29 @@
+-- Viewing appointments: landlords publish slots, renters request them
+CREATE TABLE IF NOT EXISTS viewing_slots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  landlordUid VARCHAR(128) NOT NULL,
+  startsAt DATETIME NOT NULL,
+  endsAt DATETIME NOT NULL,
+  status ENUM('open', 'booked', 'cancelled') NOT NULL DEFAULT 'open',
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_viewing_slots_room (roomId, status, startsAt)
+);
+
+CREATE TABLE IF NOT EXISTS viewing_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slotId INT NOT NULL,
+  roomId INT NOT NULL,
+  renterUid VARCHAR(128) NOT NULL,
+  landlordUid VARCHAR(128) NOT NULL,
+  status ENUM('requested', 'proposed', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'requested',
+  message TEXT NULL,
+  proposedStartsAt DATETIME NULL,
+  proposedEndsAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_viewing_requests_slot (slotId, status),
+  INDEX idx_viewing_requests_renter (renterUid, status),
+  INDEX idx_viewing_requests_landlord (landlordUid, status)
+);
@@ -0,0 +1,16 @@
+-- Renter applications for room postings
+CREATE TABLE IF NOT EXISTS rental_applications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  renterUid VARCHAR(128) NOT NULL,
+  landlordUid VARCHAR(128) NOT NULL,
+  message TEXT NOT NULL,
+  moveInDate DATE NOT NULL,
+  leaseMonths INT NOT NULL,
+  occupants INT NOT NULL,
+  status ENUM('submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn') NOT NULL DEFAULT 'submitted',
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_rental_applications_room (roomId, status),
+  INDEX idx_rental_applications_renter (renterUid)
+);
@@ -0,0 +1,21 @@
+-- Per-listing engagement counters, one row per room per day
+CREATE TABLE IF NOT EXISTS room_stats_daily (
+  roomId INT NOT NULL,
+  statDate DATE NOT NULL,
+  views INT NOT NULL DEFAULT 0,
+  impressions INT NOT NULL DEFAULT 0,
+  favorites INT NOT NULL DEFAULT 0,
+  inquiries INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (roomId, statDate)
+);
+
+-- Last time a viewer was counted for a room, so repeat views inside the
+-- dedup window are ignored. Old rows are pruned by the server.
+CREATE TABLE IF NOT EXISTS room_event_viewers (
+  roomId INT NOT NULL,
+  eventType ENUM('view', 'impression') NOT NULL,
+  viewerKey VARCHAR(64) NOT NULL,
+  lastCountedAt DATETIME NOT NULL,
+  PRIMARY KEY (roomId, eventType, viewerKey),
+  INDEX idx_room_event_viewers_counted (lastCountedAt)
+);
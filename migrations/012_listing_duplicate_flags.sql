@@ -0,0 +1,15 @@
+-- Postings that look like a duplicate of another posting, for admin review.
+-- No foreign keys so flags survive when either posting is deleted.
+CREATE TABLE IF NOT EXISTS listing_duplicate_flags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  duplicateOfRoomId INT NOT NULL,
+  score DECIMAL(4,3) NOT NULL,
+  reasons JSON NOT NULL,
+  status ENUM('open', 'dismissed', 'confirmed') NOT NULL DEFAULT 'open',
+  reviewedBy VARCHAR(128) NULL,
+  reviewedAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_listing_duplicate_flags_pair (roomId, duplicateOfRoomId),
+  INDEX idx_listing_duplicate_flags_status (status, createdAt)
+);
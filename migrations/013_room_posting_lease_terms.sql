@@ -0,0 +1,9 @@
+-- Availability and lease terms. NULL means not specified:
+-- available now, no minimum lease, no deposit.
+ALTER TABLE room_postings
+  ADD COLUMN availableFrom DATE NULL AFTER isFree,
+  ADD COLUMN minLeaseMonths INT NULL AFTER availableFrom,
+  ADD COLUMN deposit DECIMAL(10, 2) NULL AFTER minLeaseMonths,
+  ADD COLUMN utilitiesIncluded TINYINT(1) NULL AFTER deposit,
+  ADD COLUMN utilitiesCost DECIMAL(10, 2) NULL AFTER utilitiesIncluded,
+  ADD INDEX idx_room_postings_available_from (availableFrom);
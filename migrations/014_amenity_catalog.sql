@@ -0,0 +1,85 @@
+-- Managed amenity catalog. Keys are stable identifiers used by clients and
+-- filters; labels and icons are for display.
+CREATE TABLE IF NOT EXISTS amenities (
+  `key` VARCHAR(50) PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  icon VARCHAR(50) NULL,
+  category ENUM('essentials', 'facilities', 'building', 'rules') NOT NULL DEFAULT 'essentials',
+  sortOrder INT NOT NULL DEFAULT 0,
+  isActive TINYINT(1) NOT NULL DEFAULT 1
+);
+
+-- Free-text spellings that map to a catalog key. Aliases are stored
+-- normalized: lowercase with spaces, punctuation and symbols removed.
+CREATE TABLE IF NOT EXISTS amenity_aliases (
+  alias VARCHAR(100) PRIMARY KEY,
+  amenityKey VARCHAR(50) NOT NULL,
+  INDEX idx_amenity_aliases_key (amenityKey)
+);
+
+-- Catalog amenities each posting has, used for all-of filtering
+CREATE TABLE IF NOT EXISTS room_amenities (
+  roomId INT NOT NULL,
+  amenityKey VARCHAR(50) NOT NULL,
+  PRIMARY KEY (roomId, amenityKey),
+  INDEX idx_room_amenities_key (amenityKey, roomId)
+);
+
+INSERT IGNORE INTO amenities (`key`, label, icon, category, sortOrder) VALUES
+  ('wifi', 'Wi-Fi', 'wifi', 'essentials', 10),
+  ('ac', 'Air conditioning', 'ac_unit', 'essentials', 20),
+  ('hot_water', 'Hot water', 'shower', 'essentials', 30),
+  ('furnished', 'Furnished', 'chair', 'essentials', 40),
+  ('private_bathroom', 'Private bathroom', 'bathtub', 'essentials', 50),
+  ('fridge', 'Fridge', 'kitchen', 'essentials', 60),
+  ('tv', 'TV', 'tv', 'essentials', 70),
+  ('kitchen', 'Kitchen', 'countertops', 'facilities', 110),
+  ('washing_machine', 'Washing machine', 'local_laundry_service', 'facilities', 120),
+  ('balcony', 'Balcony', 'balcony', 'facilities', 130),
+  ('cleaning', 'Cleaning service', 'cleaning_services', 'facilities', 140),
+  ('parking', 'Car parking', 'local_parking', 'building', 210),
+  ('motorbike_parking', 'Motorbike parking', 'two_wheeler', 'building', 220),
+  ('security', '24h security', 'security', 'building', 230),
+  ('cctv', 'CCTV', 'videocam', 'building', 240),
+  ('elevator', 'Elevator', 'elevator', 'building', 250),
+  ('gym', 'Gym', 'fitness_center', 'building', 260),
+  ('pool', 'Swimming pool', 'pool', 'building', 270),
+  ('pets_allowed', 'Pets allowed', 'pets', 'rules', 310);
+
+INSERT IGNORE INTO amenity_aliases (alias, amenityKey) VALUES
+  ('wifi', 'wifi'), ('wireless', 'wifi'), ('internet', 'wifi'), ('freewifi', 'wifi'),
+  ('ac', 'ac'), ('aircon', 'ac'), ('aircond', 'ac'), ('aircondition', 'ac'),
+  ('airconditioning', 'ac'), ('airconditioner', 'ac'),
+  ('hotwater', 'hot_water'), ('waterheater', 'hot_water'), ('heater', 'hot_water'),
+  ('furnished', 'furnished'), ('fullyfurnished', 'furnished'), ('furniture', 'furnished'),
+  ('privatebathroom', 'private_bathroom'), ('ensuite', 'private_bathroom'),
+  ('attachedbathroom', 'private_bathroom'), ('privatetoilet', 'private_bathroom'),
+  ('fridge', 'fridge'), ('refrigerator', 'fridge'),
+  ('tv', 'tv'), ('television', 'tv'), ('cabletv', 'tv'),
+  ('kitchen', 'kitchen'), ('sharedkitchen', 'kitchen'),
+  ('washingmachine', 'washing_machine'), ('washer', 'washing_machine'), ('laundry', 'washing_machine'),
+  ('balcony', 'balcony'), ('terrace', 'balcony'),
+  ('cleaning', 'cleaning'), ('cleaningservice', 'cleaning'), ('housekeeping', 'cleaning'),
+  ('parking', 'parking'), ('carparking', 'parking'), ('carpark', 'parking'), ('garage', 'parking'),
+  ('motorbikeparking', 'motorbike_parking'), ('motoparking', 'motorbike_parking'),
+  ('motorcycleparking', 'motorbike_parking'), ('bikeparking', 'motorbike_parking'),
+  ('security', 'security'), ('24hsecurity', 'security'), ('24hrsecurity', 'security'),
+  ('securityguard', 'security'), ('guard', 'security'),
+  ('cctv', 'cctv'), ('securitycamera', 'cctv'),
+  ('elevator', 'elevator'), ('lift', 'elevator'),
+  ('gym', 'gym'), ('fitness', 'gym'), ('fitnesscenter', 'gym'),
+  ('pool', 'pool'), ('swimmingpool', 'pool'),
+  ('petsallowed', 'pets_allowed'), ('petfriendly', 'pets_allowed'), ('pets', 'pets_allowed');
+
+-- Link existing postings to the catalog. Uses the same normalization as
+-- utils/amenities.js; legacy values that aren't valid JSON are skipped and
+-- pick up catalog links the next time the posting is edited.
+INSERT IGNORE INTO room_amenities (roomId, amenityKey)
+SELECT r.id, a.amenityKey
+FROM room_postings r
+JOIN JSON_TABLE(
+  IF(JSON_VALID(r.amenities), r.amenities, '[]'),
+  '$[*]' COLUMNS (name VARCHAR(100) PATH '$' NULL ON ERROR)
+) j
+JOIN amenity_aliases a
+  ON a.alias = REGEXP_REPLACE(LOWER(j.name), '[\\s\\p{P}\\p{S}]+', '');
@@ -0,0 +1,26 @@
+-- Prices and budgets carry their currency. Rates are maintained locally
+-- (admin endpoint) as units per 1 USD; amounts are compared in USD.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  currency CHAR(3) PRIMARY KEY,
+  ratePerUsd DECIMAL(14, 4) NOT NULL,
+  updatedBy VARCHAR(128) NULL,
+  updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO exchange_rates (currency, ratePerUsd) VALUES
+  ('USD', 1),
+  ('KHR', 4100);
+
+-- Deposit and utilities cost are in the posting's price currency
+ALTER TABLE room_postings
+  ADD COLUMN priceCurrency CHAR(3) NOT NULL DEFAULT 'USD' AFTER price;
+
+ALTER TABLE roomie_matches
+  ADD COLUMN budgetCurrency CHAR(3) NOT NULL DEFAULT 'USD' AFTER maxBudget;
+
+ALTER TABLE saved_searches
+  ADD COLUMN priceCurrency CHAR(3) NOT NULL DEFAULT 'USD' AFTER maxPrice;
+
+-- Currency prices are shown in; NULL means USD
+ALTER TABLE users
+  ADD COLUMN preferredCurrency CHAR(3) NULL;
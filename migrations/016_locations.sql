@@ -0,0 +1,237 @@
+-- Location reference data: city > khan > sangkat, in English and Khmer.
+-- IDs are fixed so clients and later seed migrations can rely on them.
+CREATE TABLE IF NOT EXISTS locations (
+  id INT PRIMARY KEY,
+  parentId INT NULL,
+  level ENUM('city', 'khan', 'sangkat') NOT NULL,
+  nameEn VARCHAR(100) NOT NULL,
+  nameKm VARCHAR(100) NOT NULL,
+  sortOrder INT NOT NULL DEFAULT 0,
+  INDEX idx_locations_parent (parentId, sortOrder)
+);
+
+-- Other spellings of location names, normalized like amenity aliases
+-- (lowercase, spaces, punctuation and symbols removed). Used to link
+-- free-text values.
+CREATE TABLE IF NOT EXISTS location_aliases (
+  alias VARCHAR(100) PRIMARY KEY,
+  locationId INT NOT NULL
+);
+
+INSERT IGNORE INTO locations (id, parentId, level, nameEn, nameKm, sortOrder) VALUES
+  (1, NULL, 'city', 'Phnom Penh', 'ភ្នំពេញ', 1);
+
+INSERT IGNORE INTO locations (id, parentId, level, nameEn, nameKm, sortOrder) VALUES
+  (10, 1, 'khan', 'Chamkar Mon', 'ចំការមន', 1),
+  (11, 1, 'khan', 'Daun Penh', 'ដូនពេញ', 2),
+  (12, 1, 'khan', 'Prampir Meakkakra', '៧មករា', 3),
+  (13, 1, 'khan', 'Tuol Kouk', 'ទួលគោក', 4),
+  (14, 1, 'khan', 'Dangkao', 'ដង្កោ', 5),
+  (15, 1, 'khan', 'Mean Chey', 'មានជ័យ', 6),
+  (16, 1, 'khan', 'Russey Keo', 'ឫស្សីកែវ', 7),
+  (17, 1, 'khan', 'Saensokh', 'សែនសុខ', 8),
+  (18, 1, 'khan', 'Pou Senchey', 'ពោធិ៍សែនជ័យ', 9),
+  (19, 1, 'khan', 'Chrouy Changvar', 'ជ្រោយចង្វារ', 10),
+  (20, 1, 'khan', 'Praek Pnov', 'ព្រែកព្នៅ', 11),
+  (21, 1, 'khan', 'Chbar Ampov', 'ច្បារអំពៅ', 12),
+  (22, 1, 'khan', 'Boeng Keng Kang', 'បឹងកេងកង', 13),
+  (23, 1, 'khan', 'Kamboul', 'កំបូល', 14);
+
+-- Sangkats of every khan. IDs are the khan id followed by a two-digit number.
+INSERT IGNORE INTO locations (id, parentId, level, nameEn, nameKm, sortOrder) VALUES
+  (1001, 10, 'sangkat', 'Tuol Tumpung Ti Muoy', 'ទួលទំពូងទី១', 1),
+  (1002, 10, 'sangkat', 'Tuol Tumpung Ti Pir', 'ទួលទំពូងទី២', 2),
+  (1003, 10, 'sangkat', 'Boeng Trabaek', 'បឹងត្របែក', 3),
+  (1004, 10, 'sangkat', 'Phsar Daeum Thkov', 'ផ្សារដើមថ្កូវ', 4),
+  (1005, 10, 'sangkat', 'Tumnob Tuek', 'ទំនប់ទឹក', 5),
+  (1101, 11, 'sangkat', 'Phsar Thmei Ti Muoy', 'ផ្សារថ្មីទី១', 1),
+  (1102, 11, 'sangkat', 'Phsar Thmei Ti Pir', 'ផ្សារថ្មីទី២', 2),
+  (1103, 11, 'sangkat', 'Phsar Thmei Ti Bei', 'ផ្សារថ្មីទី៣', 3),
+  (1104, 11, 'sangkat', 'Boeng Reang', 'បឹងរាំង', 4),
+  (1105, 11, 'sangkat', 'Phsar Kandal Ti Muoy', 'ផ្សារកណ្ដាលទី១', 5),
+  (1106, 11, 'sangkat', 'Phsar Kandal Ti Pir', 'ផ្សារកណ្ដាលទី២', 6),
+  (1107, 11, 'sangkat', 'Chakto Mukh', 'ចតុមុខ', 7),
+  (1108, 11, 'sangkat', 'Chey Chumneah', 'ជ័យជំនះ', 8),
+  (1109, 11, 'sangkat', 'Phsar Chas', 'ផ្សារចាស់', 9),
+  (1110, 11, 'sangkat', 'Srah Chak', 'ស្រះចក', 10),
+  (1111, 11, 'sangkat', 'Voat Phnum', 'វត្តភ្នំ', 11),
+  (1301, 13, 'sangkat', 'Phsar Depou Ti Muoy', 'ផ្សារដេប៉ូទី១', 1),
+  (1302, 13, 'sangkat', 'Phsar Depou Ti Pir', 'ផ្សារដេប៉ូទី២', 2),
+  (1303, 13, 'sangkat', 'Phsar Depou Ti Bei', 'ផ្សារដេប៉ូទី៣', 3),
+  (1304, 13, 'sangkat', 'Tuek L''ak Ti Muoy', 'ទឹកល្អក់ទី១', 4),
+  (1305, 13, 'sangkat', 'Tuek L''ak Ti Pir', 'ទឹកល្អក់ទី២', 5),
+  (1306, 13, 'sangkat', 'Tuek L''ak Ti Bei', 'ទឹកល្អក់ទី៣', 6),
+  (1307, 13, 'sangkat', 'Boeng Kak Ti Muoy', 'បឹងកក់ទី១', 7),
+  (1308, 13, 'sangkat', 'Boeng Kak Ti Pir', 'បឹងកក់ទី២', 8),
+  (1309, 13, 'sangkat', 'Phsar Daeum Kor', 'ផ្សារដើមគរ', 9),
+  (1310, 13, 'sangkat', 'Boeng Salang', 'បឹងសាឡាង', 10),
+  (2201, 22, 'sangkat', 'Boeng Keng Kang Ti Muoy', 'បឹងកេងកងទី១', 1),
+  (2202, 22, 'sangkat', 'Boeng Keng Kang Ti Pir', 'បឹងកេងកងទី២', 2),
+  (2203, 22, 'sangkat', 'Boeng Keng Kang Ti Bei', 'បឹងកេងកងទី៣', 3),
+  (2204, 22, 'sangkat', 'Olympic', 'អូឡាំពិក', 4),
+  (2205, 22, 'sangkat', 'Tuol Svay Prey Ti Muoy', 'ទួលស្វាយព្រៃទី១', 5),
+  (2206, 22, 'sangkat', 'Tuol Svay Prey Ti Pir', 'ទួលស្វាយព្រៃទី២', 6),
+  (2207, 22, 'sangkat', 'Tonle Basak', 'ទន្លេបាសាក់', 7);
+
+INSERT IGNORE INTO locations (id, parentId, level, nameEn, nameKm, sortOrder) VALUES
+  (1201, 12, 'sangkat', 'Ou Ruessei Ti Muoy', 'អូរឫស្សីទី១', 1),
+  (1202, 12, 'sangkat', 'Ou Ruessei Ti Pir', 'អូរឫស្សីទី២', 2),
+  (1203, 12, 'sangkat', 'Ou Ruessei Ti Bei', 'អូរឫស្សីទី៣', 3),
+  (1204, 12, 'sangkat', 'Ou Ruessei Ti Buon', 'អូរឫស្សីទី៤', 4),
+  (1205, 12, 'sangkat', 'Monourom', 'មនោរម្យ', 5),
+  (1206, 12, 'sangkat', 'Mittapheap', 'មិត្តភាព', 6),
+  (1207, 12, 'sangkat', 'Veal Vong', 'វាលវង់', 7),
+  (1208, 12, 'sangkat', 'Boeng Proluet', 'បឹងព្រលិត', 8),
+  (1401, 14, 'sangkat', 'Dangkao', 'ដង្កោ', 1),
+  (1402, 14, 'sangkat', 'Pong Tuek', 'ពងទឹក', 2),
+  (1403, 14, 'sangkat', 'Prey Veaeng', 'ព្រៃវែង', 3),
+  (1404, 14, 'sangkat', 'Prey Sa', 'ព្រៃស', 4),
+  (1405, 14, 'sangkat', 'Krang Pongro', 'ក្រាំងពង្រ', 5),
+  (1406, 14, 'sangkat', 'Sak Sampov', 'សាក់សំពៅ', 6),
+  (1407, 14, 'sangkat', 'Cheung Aek', 'ជើងឯក', 7),
+  (1408, 14, 'sangkat', 'Kong Noy', 'គងនយ', 8),
+  (1409, 14, 'sangkat', 'Preaek Kampues', 'ព្រែកកំពឹស', 9),
+  (1410, 14, 'sangkat', 'Roluos', 'រលួស', 10),
+  (1411, 14, 'sangkat', 'Spean Thma', 'ស្ពានថ្ម', 11),
+  (1412, 14, 'sangkat', 'Tien', 'ទៀន', 12),
+  (1501, 15, 'sangkat', 'Stueng Mean Chey Ti Muoy', 'ស្ទឹងមានជ័យទី១', 1),
+  (1502, 15, 'sangkat', 'Stueng Mean Chey Ti Pir', 'ស្ទឹងមានជ័យទី២', 2),
+  (1503, 15, 'sangkat', 'Stueng Mean Chey Ti Bei', 'ស្ទឹងមានជ័យទី៣', 3),
+  (1504, 15, 'sangkat', 'Boeng Tumpun Ti Muoy', 'បឹងទំពុនទី១', 4),
+  (1505, 15, 'sangkat', 'Boeng Tumpun Ti Pir', 'បឹងទំពុនទី២', 5),
+  (1506, 15, 'sangkat', 'Chak Angrae Leu', 'ចាក់អង្រែលើ', 6),
+  (1507, 15, 'sangkat', 'Chak Angrae Kraom', 'ចាក់អង្រែក្រោម', 7),
+  (1601, 16, 'sangkat', 'Tuol Sangkae Ti Muoy', 'ទួលសង្កែទី១', 1),
+  (1602, 16, 'sangkat', 'Tuol Sangkae Ti Pir', 'ទួលសង្កែទី២', 2),
+  (1603, 16, 'sangkat', 'Svay Pak', 'ស្វាយប៉ាក', 3),
+  (1604, 16, 'sangkat', 'Kilomaetr Lekh Prammuoy', 'គីឡូម៉ែត្រលេខ៦', 4),
+  (1605, 16, 'sangkat', 'Ruessei Kaev', 'ឫស្សីកែវ', 5),
+  (1606, 16, 'sangkat', 'Chrang Chamreh Ti Muoy', 'ច្រាំងចំរេះទី១', 6),
+  (1607, 16, 'sangkat', 'Chrang Chamreh Ti Pir', 'ច្រាំងចំរេះទី២', 7),
+  (1701, 17, 'sangkat', 'Phnom Penh Thmei', 'ភ្នំពេញថ្មី', 1),
+  (1702, 17, 'sangkat', 'Tuek Thla', 'ទឹកថ្លា', 2),
+  (1703, 17, 'sangkat', 'Khmuonh', 'ឃ្មួញ', 3),
+  (1704, 17, 'sangkat', 'Krang Thnong', 'ក្រាំងធ្នង់', 4),
+  (1705, 17, 'sangkat', 'Ou Baek K''am', 'អូរបែកក្អម', 5),
+  (1706, 17, 'sangkat', 'Kouk Khleang', 'គោកឃ្លាង', 6),
+  (1801, 18, 'sangkat', 'Trapeang Krasang', 'ត្រពាំងក្រសាំង', 1),
+  (1802, 18, 'sangkat', 'Samraong Kraom', 'សំរោងក្រោម', 2),
+  (1803, 18, 'sangkat', 'Chaom Chau Ti Muoy', 'ចោមចៅទី១', 3),
+  (1804, 18, 'sangkat', 'Chaom Chau Ti Pir', 'ចោមចៅទី២', 4),
+  (1805, 18, 'sangkat', 'Chaom Chau Ti Bei', 'ចោមចៅទី៣', 5),
+  (1806, 18, 'sangkat', 'Kakab Ti Muoy', 'កាកាបទី១', 6),
+  (1807, 18, 'sangkat', 'Kakab Ti Pir', 'កាកាបទី២', 7),
+  (1901, 19, 'sangkat', 'Chrouy Changvar', 'ជ្រោយចង្វារ', 1),
+  (1902, 19, 'sangkat', 'Preaek Lieb', 'ព្រែកលៀប', 2),
+  (1903, 19, 'sangkat', 'Preaek Ta Sek', 'ព្រែកតាសេក', 3),
+  (1904, 19, 'sangkat', 'Kaoh Dach', 'កោះដាច់', 4),
+  (1905, 19, 'sangkat', 'Bak Kaeng', 'បាក់ខែង', 5),
+  (2001, 20, 'sangkat', 'Preaek Phnov', 'ព្រែកព្នៅ', 1),
+  (2002, 20, 'sangkat', 'Ponhea Pon', 'ពញាពន់', 2),
+  (2003, 20, 'sangkat', 'Samraong', 'សំរោង', 3),
+  (2004, 20, 'sangkat', 'Kouk Roka', 'គោករកា', 4),
+  (2005, 20, 'sangkat', 'Ponsang', 'ពន្សាំង', 5),
+  (2101, 21, 'sangkat', 'Chbar Ampov Ti Muoy', 'ច្បារអំពៅទី១', 1),
+  (2102, 21, 'sangkat', 'Chbar Ampov Ti Pir', 'ច្បារអំពៅទី២', 2),
+  (2103, 21, 'sangkat', 'Nirouth', 'និរោធ', 3),
+  (2104, 21, 'sangkat', 'Preaek Pra', 'ព្រែកប្រា', 4),
+  (2105, 21, 'sangkat', 'Veal Sbov', 'វាលស្បូវ', 5),
+  (2106, 21, 'sangkat', 'Preaek Aeng', 'ព្រែកឯង', 6),
+  (2107, 21, 'sangkat', 'Kbal Kaoh', 'ក្បាលកោះ', 7),
+  (2108, 21, 'sangkat', 'Preaek Thmei', 'ព្រែកថ្មី', 8),
+  (2301, 23, 'sangkat', 'Kamboul', 'កំបូល', 1),
+  (2302, 23, 'sangkat', 'Kantaok', 'កន្ទោក', 2),
+  (2303, 23, 'sangkat', 'Ovlaok', 'ឪឡោក', 3),
+  (2304, 23, 'sangkat', 'Snaor', 'ស្នោរ', 4),
+  (2305, 23, 'sangkat', 'Phleung Chheh Roteh', 'ភ្លើងឆេះរទេះ', 5),
+  (2306, 23, 'sangkat', 'Boeng Thum', 'បឹងធំ', 6),
+  (2307, 23, 'sangkat', 'Prateah Lang', 'ប្រទះឡាង', 7);
+
+INSERT IGNORE INTO location_aliases (alias, locationId) VALUES
+  ('pp', 1), ('phnompenhcity', 1),
+  ('chamkarmorn', 10), ('chamkamon', 10),
+  ('dounpenh', 11), ('duanpenh', 11),
+  ('7makara', 12), ('7makkara', 12), ('prampirmakara', 12), ('prampirmeakakra', 12),
+  ('toulkork', 13), ('tuolkork', 13), ('toulkouk', 13),
+  ('dangkor', 14),
+  ('russeykaev', 16), ('russeykev', 16),
+  ('sensok', 17), ('sensokh', 17), ('saensok', 17),
+  ('porsenchey', 18), ('posenchey', 18), ('pursenchey', 18),
+  ('chroychangvar', 19), ('chroychangva', 19),
+  ('preakpnov', 20), ('prekpnov', 20),
+  ('chbarampeou', 21), ('chbaampov', 21),
+  ('bkk', 22), ('boengkengkang', 22), ('beungkengkang', 22), ('bkk1', 2201), ('bkk2', 2202), ('bkk3', 2203),
+  ('kambol', 23),
+  -- Khans that share their name with one of their sangkats: the name means the khan
+  ('dangkao', 14), ('ដង្កោ', 14), ('chrouychangvar', 19), ('ជ្រោយចង្វារ', 19),
+  ('kamboul', 23), ('កំបូល', 23),
+  ('toultompoung', 1001), ('toultompoung2', 1002), ('ttp', 1001);
+
+-- Locations for postings and roommate preferences. The free-text location
+-- column is kept for display and older clients.
+ALTER TABLE room_postings
+  ADD COLUMN locationId INT NULL AFTER location,
+  ADD INDEX idx_room_postings_location_id (locationId);
+
+ALTER TABLE roomie_matches
+  ADD COLUMN locationId INT NULL AFTER location,
+  ADD INDEX idx_roomie_matches_location_id (locationId);
+
+ALTER TABLE saved_searches
+  ADD COLUMN locationId INT NULL AFTER location,
+  ADD INDEX idx_saved_searches_location_id (locationId);
+
+-- Link existing free-text values by alias, then by English name. Aliases go
+-- first so they settle names shared by a khan and a sangkat; any other
+-- shared name is skipped rather than guessed. Values that match nothing
+-- (including placeholders such as 'Select Khan') stay NULL.
+UPDATE room_postings r
+JOIN location_aliases a
+  ON a.alias = REGEXP_REPLACE(LOWER(r.location), '[\\s\\p{P}\\p{S}]+', '')
+SET r.locationId = a.locationId
+WHERE r.locationId IS NULL;
+
+UPDATE room_postings r
+JOIN (
+  SELECT MIN(id) AS id, REGEXP_REPLACE(LOWER(nameEn), '[\\s\\p{P}\\p{S}]+', '') AS name
+  FROM locations
+  GROUP BY name
+  HAVING COUNT(*) = 1
+) l
+  ON l.name = REGEXP_REPLACE(LOWER(r.location), '[\\s\\p{P}\\p{S}]+', '')
+SET r.locationId = l.id
+WHERE r.locationId IS NULL;
+
+UPDATE roomie_matches rm
+JOIN location_aliases a
+  ON a.alias = REGEXP_REPLACE(LOWER(rm.location), '[\\s\\p{P}\\p{S}]+', '')
+SET rm.locationId = a.locationId
+WHERE rm.locationId IS NULL;
+
+UPDATE roomie_matches rm
+JOIN (
+  SELECT MIN(id) AS id, REGEXP_REPLACE(LOWER(nameEn), '[\\s\\p{P}\\p{S}]+', '') AS name
+  FROM locations
+  GROUP BY name
+  HAVING COUNT(*) = 1
+) l
+  ON l.name = REGEXP_REPLACE(LOWER(rm.location), '[\\s\\p{P}\\p{S}]+', '')
+SET rm.locationId = l.id
+WHERE rm.locationId IS NULL;
+
+UPDATE saved_searches s
+JOIN location_aliases a
+  ON a.alias = REGEXP_REPLACE(LOWER(s.location), '[\\s\\p{P}\\p{S}]+', '')
+SET s.locationId = a.locationId
+WHERE s.locationId IS NULL;
+
+UPDATE saved_searches s
+JOIN (
+  SELECT MIN(id) AS id, REGEXP_REPLACE(LOWER(nameEn), '[\\s\\p{P}\\p{S}]+', '') AS name
+  FROM locations
+  GROUP BY name
+  HAVING COUNT(*) = 1
+) l
+  ON l.name = REGEXP_REPLACE(LOWER(s.location), '[\\s\\p{P}\\p{S}]+', '')
+SET s.locationId = l.id
+WHERE s.locationId IS NULL;
@@ -0,0 +1,35 @@
+-- Renter reports against listings, reviewed by admins
+CREATE TABLE IF NOT EXISTS room_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  reporterUid VARCHAR(128) NOT NULL,
+  reason ENUM('scam', 'misleading', 'wrong_price', 'unavailable', 'duplicate', 'offensive', 'other') NOT NULL,
+  details TEXT NULL,
+  status ENUM('open', 'dismissed', 'actioned') NOT NULL DEFAULT 'open',
+  resolvedAt DATETIME NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_room_reports_reporter (roomId, reporterUid),
+  INDEX idx_room_reports_status (status, createdAt)
+);
+
+-- Every moderation decision, by an admin or 'system' for automatic hiding
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NULL,
+  targetUid VARCHAR(128) NULL,
+  action ENUM('auto_hide', 'dismiss', 'hide', 'restore', 'suspend', 'unsuspend') NOT NULL,
+  moderatorUid VARCHAR(128) NOT NULL,
+  note TEXT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_moderation_actions_room (roomId, createdAt),
+  INDEX idx_moderation_actions_target (targetUid, createdAt)
+);
+
+-- 'auto_hidden' is set when a listing collects enough reports and lasts
+-- until an admin reviews it; 'hidden' is an admin decision
+ALTER TABLE room_postings
+  ADD COLUMN moderationStatus ENUM('visible', 'auto_hidden', 'hidden') NOT NULL DEFAULT 'visible' AFTER status;
+
+ALTER TABLE users
+  ADD COLUMN isSuspended TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN suspendedAt DATETIME NULL;
@@ -0,0 +1,17 @@
+-- Every price a posting has had, newest last
+CREATE TABLE IF NOT EXISTS room_price_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  roomId INT NOT NULL,
+  price DECIMAL(10, 2) NULL,
+  priceCurrency CHAR(3) NOT NULL DEFAULT 'USD',
+  isFree TINYINT(1) NOT NULL DEFAULT 0,
+  changedBy VARCHAR(128) NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_room_price_history_room (roomId, createdAt)
+);
+
+-- Start the history of existing postings with their current price
+INSERT INTO room_price_history (roomId, price, priceCurrency, isFree, changedBy, createdAt)
+SELECT r.id, r.price, r.priceCurrency, r.isFree, r.uid, r.createdAt
+FROM room_postings r
+WHERE NOT EXISTS (SELECT 1 FROM room_price_history h WHERE h.roomId = r.id);
@@ -0,0 +1,11 @@
+-- Rooms a renter dismissed from their "Rooms for you" feed
+CREATE TABLE IF NOT EXISTS room_dismissals (
+  uid VARCHAR(128) NOT NULL,
+  roomId INT NOT NULL,
+  createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (uid, roomId)
+);
+
+-- Room types the renter is looking for, e.g. ["Single", "Studio"]
+ALTER TABLE roomie_matches
+  ADD COLUMN preferredRoomTypes JSON NULL AFTER budgetCurrency;
@@ -0,0 +1,9 @@
+-- Structured habits for roommate matching: what each user is...
+ALTER TABLE roomie_matches
+  ADD COLUMN smoking ENUM('non_smoker', 'outdoor_smoker', 'smoker') NULL AFTER preferredRoomTypes,
+  ADD COLUMN pets ENUM('no_pets', 'has_pets') NULL AFTER smoking,
+  ADD COLUMN sleepSchedule ENUM('early_bird', 'flexible', 'night_owl') NULL AFTER pets,
+  ADD COLUMN guests ENUM('rarely', 'sometimes', 'often') NULL AFTER sleepSchedule,
+  ADD COLUMN cleanliness ENUM('relaxed', 'average', 'very_tidy') NULL AFTER guests,
+  -- ...and what they won't accept, e.g. {"smoking": ["smoker"], "pets": ["has_pets"]}
+  ADD COLUMN dealbreakers JSON NULL AFTER cleanliness;
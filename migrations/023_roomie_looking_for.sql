@@ -0,0 +1,9 @@
+-- What each user is looking for in a roommate. Discovery only pairs users
+-- whose criteria accept each other; NULL means no restriction.
+-- Budget bounds are in the row's budgetCurrency.
+ALTER TABLE roomie_matches
+  ADD COLUMN lookingForGenders JSON NULL AFTER dealbreakers,
+  ADD COLUMN lookingForMinAge INT NULL AFTER lookingForGenders,
+  ADD COLUMN lookingForMaxAge INT NULL AFTER lookingForMinAge,
+  ADD COLUMN lookingForMinBudget DECIMAL(12, 2) NULL AFTER lookingForMaxAge,
+  ADD COLUMN lookingForMaxBudget DECIMAL(12, 2) NULL AFTER lookingForMinBudget;
@@ -0,0 +1,12 @@
+-- Likes sent per user per day (in APP_TIMEZONE), for the daily like quota
+CREATE TABLE IF NOT EXISTS like_usage (
+  uid VARCHAR(128) NOT NULL,
+  usageDate DATE NOT NULL,
+  likeCount INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (uid, usageDate)
+);
+
+-- Subscriptions now include the renter_premium plan as well as landlord plans
+ALTER TABLE subscriptions
+  MODIFY COLUMN planType VARCHAR(32) NOT NULL,
+  ADD INDEX idx_subscriptions_uid_plan (uid, planType, status);
@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate, requireAdmin } = require('../middleware/authMiddleware');
+const { clusterFlags } = require('../utils/duplicateDetection');
+const { parseJsonField } = require('../utils/jsonFields');
+const { recordModerationAction } = require('../utils/moderation');
+const { sendNotification } = require('../utils/notifications');
+
+const FLAG_STATUSES = ['open', 'dismissed', 'confirmed'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+const MODERATION_ACTIONS = ['dismiss', 'hide', 'restore', 'suspend', 'unsuspend'];
+
+// Every admin route needs an Admin account
+router.use(authenticate, requireAdmin);
+
+// Flagged duplicate postings grouped into clusters, biggest score first
+router.get('/duplicates', async (req, res) => {
+  let connection;
+  try {
+    const status = req.query.status || 'open';
+
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${FLAG_STATUSES.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [flagRows] = await connection.query(
+      'SELECT * FROM listing_duplicate_flags WHERE status = ? ORDER BY createdAt DESC',
+      [status]
+    );
+
+    const flags = flagRows.map(flag => ({
+      ...flag,
+      score: Number(flag.score),
+      reasons: parseJsonField(flag.reasons),
+    }));
+    const clusters = clusterFlags(flags);
+
+    const roomIds = clusters.flatMap(cluster => cluster.roomIds);
+    const roomsById = new Map();
+
+    if (roomIds.length > 0) {
+      const [rooms] = await connection.query(
+        `SELECT
+          r.id, r.uid, r.title, r.address, r.location, r.price, r.isFree, r.images, r.status, r.createdAt,
+          u.firstName as ownerFirstName,
+          u.lastName as ownerLastName,
+          u.email as ownerEmail
+        FROM room_postings r
+        LEFT JOIN users u ON u.uid = r.uid
+        WHERE r.id IN (?)`,
+        [roomIds]
+      );
+      rooms.forEach(room => roomsById.set(room.id, { ...room, images: parseJsonField(room.images) }));
+    }
+
+    const result = clusters
+      .map(cluster => ({
+        maxScore: Math.max(...cluster.flags.map(flag => flag.score)),
+        // Deleted postings are kept in the cluster as stubs
+        rooms: cluster.roomIds.map(id => roomsById.get(id) || { id, deleted: true }),
+        flags: cluster.flags,
+      }))
+      .sort((a, b) => b.maxScore - a.maxScore);
+
+    console.log(`admin/duplicates: ${flags.length} ${status} flags in ${result.length} clusters`);
+
+    res.status(200).json({
+      success: true,
+      clusters: result,
+      count: result.length,
+    });
+  } catch (error) {
+    console.error('admin/duplicates: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get duplicate listings' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Resolve a duplicate flag as dismissed (not a duplicate) or confirmed
+router.patch('/duplicates/:flagId', async (req, res) => {
+  let connection;
+  try {
+    const { flagId } = req.params;
+    const { status } = req.body;
+
+    if (!['dismissed', 'confirmed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be dismissed or confirmed' });
+    }
+
+    connection = await pool.getConnection();
+
+    const [result] = await connection.query(
+      'UPDATE listing_duplicate_flags SET status = ?, reviewedBy = ?, reviewedAt = NOW() WHERE id = ?',
+      [status, req.user.uid, flagId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Duplicate flag not found' });
+    }
+
+    console.log(`admin/duplicates: flag ${flagId} ${status} by ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Flag ${status}`,
+    });
+  } catch (error) {
+    console.error('admin/duplicates: Error updating flag:', error);
+    res.status(500).json({ error: error.message || 'Failed to update duplicate flag' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Moderation queue: reported listings with their reports, most reported first
+router.get('/reports', async (req, res) => {
+  let connection;
+  try {
+    const status = req.query.status || 'open';
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [reports] = await connection.query(
+      `SELECT
+        rr.*,
+        u.firstName as reporterFirstName,
+        u.lastName as reporterLastName
+      FROM room_reports rr
+      LEFT JOIN users u ON u.uid = rr.reporterUid
+      WHERE rr.status = ?
+      ORDER BY rr.createdAt ASC`,
+      [status]
+    );
+
+    const byRoom = new Map();
+    reports.forEach(report => {
+      if (!byRoom.has(report.roomId)) byRoom.set(report.roomId, []);
+      byRoom.get(report.roomId).push(report);
+    });
+
+    const roomsById = new Map();
+    if (byRoom.size > 0) {
+      const [rooms] = await connection.query(
+        `SELECT
+          r.id, r.uid, r.title, r.address, r.location, r.price, r.priceCurrency, r.status,
+          r.moderationStatus, r.createdAt,
+          u.firstName as ownerFirstName,
+          u.lastName as ownerLastName,
+          u.email as ownerEmail,
+          u.isSuspended as ownerIsSuspended
+        FROM room_postings r
+        LEFT JOIN users u ON u.uid = r.uid
+        WHERE r.id IN (?)`,
+        [[...byRoom.keys()]]
+      );
+      rooms.forEach(room => roomsById.set(room.id, { ...room, ownerIsSuspended: room.ownerIsSuspended === 1 }));
+    }
+
+    const queue = [...byRoom.entries()]
+      .map(([roomId, roomReports]) => ({
+        room: roomsById.get(roomId) || { id: roomId, deleted: true },
+        reportCount: roomReports.length,
+        reasons: roomReports.reduce((counts, report) => {
+          counts[report.reason] = (counts[report.reason] || 0) + 1;
+          return counts;
+        }, {}),
+        reports: roomReports,
+      }))
+      .sort((a, b) => b.reportCount - a.reportCount);
+
+    res.status(200).json({
+      success: true,
+      queue: queue,
+      count: queue.length,
+    });
+  } catch (error) {
+    console.error('admin/reports: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get reports' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Decide on a reported listing:
+//   dismiss - close open reports and make an auto-hidden listing visible again
+//   hide    - hide the listing and close its reports as actioned
+//   restore - make a hidden listing visible again
+//   suspend - suspend the landlord, hide the listing and close its reports
+//   unsuspend - lift the landlord's suspension; the listing stays as it is
+router.post('/rooms/:roomId/moderation', async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const { action, note } = req.body;
+    const moderatorUid = req.user.uid;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      'SELECT id, uid, title, moderationStatus FROM room_postings WHERE id = ?',
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    const room = rooms[0];
+    const moderationStatus = {
+      dismiss: room.moderationStatus === 'auto_hidden' ? 'visible' : room.moderationStatus,
+      hide: 'hidden',
+      restore: 'visible',
+      suspend: 'hidden',
+      unsuspend: room.moderationStatus,
+    }[action];
+
+    await connection.beginTransaction();
+
+    await connection.query(
+      'UPDATE room_postings SET moderationStatus = ? WHERE id = ?',
+      [moderationStatus, room.id]
+    );
+
+    if (action !== 'restore' && action !== 'unsuspend') {
+      await connection.query(
+        "UPDATE room_reports SET status = ?, resolvedAt = NOW() WHERE roomId = ? AND status = 'open'",
+        [action === 'dismiss' ? 'dismissed' : 'actioned', room.id]
+      );
+    }
+
+    if (action === 'suspend') {
+      await connection.query(
+        'UPDATE users SET isSuspended = 1, suspendedAt = NOW() WHERE uid = ?',
+        [room.uid]
+      );
+    }
+
+    if (action === 'unsuspend') {
+      const [result] = await connection.query(
+        'UPDATE users SET isSuspended = 0, suspendedAt = NULL WHERE uid = ? AND isSuspended = 1',
+        [room.uid]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(409).json({ error: 'The landlord is not suspended' });
+      }
+    }
+
+    await recordModerationAction(connection, {
+      roomId: room.id,
+      targetUid: room.uid,
+      action,
+      moderatorUid,
+      note: note ? String(note).trim() : null,
+    });
+
+    await connection.commit();
+
+    console.log(`admin/moderation: ${action} room=${room.id} owner=${room.uid} by ${moderatorUid}`);
+
+    // The action is committed, so a failed notification must not fail the request
+    const notice = {
+      hide: { title: 'Listing hidden', body: `"${room.title}" was hidden after a review. Contact support for details.` },
+      suspend: { title: 'Account suspended', body: 'Your account was suspended after a review of your listings. Contact support for details.' },
+      unsuspend: { title: 'Account restored', body: 'Your account suspension was lifted.' },
+    }[action];
+    if (notice) {
+      try {
+        await sendNotification({
+          recipientUid: room.uid,
+          ...notice,
+          data: { type: 'moderation', action, roomId: String(room.id) },
+        }, connection);
+      } catch (notifyError) {
+        console.error('admin/moderation: Error sending notification:', notifyError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Action ${action} applied`,
+      moderationStatus: moderationStatus,
+    });
+  } catch (error) {
+    console.error('admin/moderation: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to apply moderation action' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Moderation history, optionally for one listing or landlord
+router.get('/moderation-actions', async (req, res) => {
+  let connection;
+  try {
+    const { roomId, targetUid } = req.query;
+
+    let query = 'SELECT * FROM moderation_actions WHERE 1 = 1';
+    const params = [];
+
+    if (roomId) {
+      query += ' AND roomId = ?';
+      params.push(roomId);
+    }
+
+    if (targetUid) {
+      query += ' AND targetUid = ?';
+      params.push(targetUid);
+    }
+
+    query += ' ORDER BY createdAt DESC, id DESC LIMIT 200';
+
+    connection = await pool.getConnection();
+    const [actions] = await connection.query(query, params);
+
+    res.status(200).json({
+      success: true,
+      actions: actions,
+    });
+  } catch (error) {
+    console.error('admin/moderation-actions: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get moderation history' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { loadAmenityCatalog } = require('../utils/amenities');
+
+// Amenity catalog for the posting form and filters (public)
+router.get('/', async (req, res) => {
+  try {
+    const { amenities } = await loadAmenityCatalog();
+
+    res.status(200).json({
+      success: true,
+      amenities: amenities,
+    });
+  } catch (error) {
+    console.error('amenities/list: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get amenities' });
+  }
+});
+
+module.exports = router;
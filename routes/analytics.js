@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+const { EVENT_COLUMNS } = require('../utils/roomAnalytics');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+const METRICS = Object.values(EVENT_COLUMNS);
+
+function parseDays(value) {
+  if (value === undefined) {
+    return DEFAULT_DAYS;
+  }
+  const days = parseInt(value, 10);
+  return isNaN(days) || days < 1 || days > MAX_DAYS ? null : days;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(METRICS.map(metric => [metric, 0]));
+}
+
+/**
+ * Turn daily stat rows into a gap-free series ending today, plus totals.
+ * `today` is the database's current date as YYYY-MM-DD.
+ */
+function buildSeries(rows, today, days) {
+  const byDate = new Map();
+  for (const row of rows) {
+    const day = byDate.get(row.date) || emptyTotals();
+    METRICS.forEach(metric => { day[metric] += Number(row[metric]); });
+    byDate.set(row.date, day);
+  }
+
+  const series = [];
+  const totals = emptyTotals();
+  const end = new Date(`${today}T00:00:00Z`);
+
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(end.getTime() - i * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const day = byDate.get(date) || emptyTotals();
+    METRICS.forEach(metric => { totals[metric] += day[metric]; });
+    series.push({ date, ...day });
+  }
+
+  return { series, totals };
+}
+
+async function loadStats(connection, roomIds, days) {
+  const [[{ today }]] = await connection.query("SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') as today");
+
+  if (roomIds.length === 0) {
+    return { today, rows: [] };
+  }
+
+  const [rows] = await connection.query(
+    `SELECT roomId, DATE_FORMAT(statDate, '%Y-%m-%d') as date, ${METRICS.join(', ')}
+     FROM room_stats_daily
+     WHERE roomId IN (?) AND statDate > CURDATE() - INTERVAL ? DAY`,
+    [roomIds, days]
+  );
+
+  return { today, rows };
+}
+
+// Summary across all of the landlord's postings, with per-room totals
+router.get('/rooms', authenticate, requireRole('Landlord'), async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+    const days = parseDays(req.query.days);
+
+    if (days === null) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_DAYS}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      'SELECT id, title, status, createdAt FROM room_postings WHERE uid = ? ORDER BY createdAt DESC',
+      [uid]
+    );
+
+    const { today, rows } = await loadStats(connection, rooms.map(room => room.id), days);
+    const { series, totals } = buildSeries(rows, today, days);
+
+    const roomTotals = new Map();
+    for (const row of rows) {
+      const room = roomTotals.get(row.roomId) || emptyTotals();
+      METRICS.forEach(metric => { room[metric] += Number(row[metric]); });
+      roomTotals.set(row.roomId, room);
+    }
+
+    console.log(`analytics/summary: uid=${uid}, rooms=${rooms.length}, days=${days}`);
+
+    res.status(200).json({
+      success: true,
+      days: days,
+      totals: totals,
+      series: series,
+      rooms: rooms.map(room => ({
+        ...room,
+        totals: roomTotals.get(room.id) || emptyTotals(),
+      })),
+    });
+  } catch (error) {
+    console.error('analytics/summary: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get analytics' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Daily series and totals for one posting
+router.get('/rooms/:roomId', authenticate, requireRole('Landlord'), async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+    const days = parseDays(req.query.days);
+
+    if (days === null) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_DAYS}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      'SELECT id, uid, title, status, createdAt FROM room_postings WHERE id = ?',
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    const { uid: ownerUid, ...room } = rooms[0];
+
+    if (ownerUid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot view analytics for other user\'s post' });
+    }
+
+    const { today, rows } = await loadStats(connection, [room.id], days);
+    const { series, totals } = buildSeries(rows, today, days);
+
+    res.status(200).json({
+      success: true,
+      room: room,
+      days: days,
+      totals: totals,
+      series: series,
+    });
+  } catch (error) {
+    console.error('analytics/room: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get room analytics' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
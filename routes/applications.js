@@ -0,0 +1,438 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate } = require('../middleware/authMiddleware');
+const { PUBLIC_ROOM_CONDITION, canTransition, recordRoomRevision } = require('../utils/roomLifecycle');
+const { sendNotification, getDisplayName } = require('../utils/notifications');
+const { recordRoomEvents } = require('../utils/roomAnalytics');
+
+const APPLICATION_STATUSES = ['submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn'];
+
+// Applications the landlord still has to decide on
+const OPEN_APPLICATION_STATUSES = ['submitted', 'shortlisted'];
+
+// Status changes a landlord may make, keyed by current status
+const LANDLORD_TRANSITIONS = {
+  submitted: ['shortlisted', 'accepted', 'rejected'],
+  shortlisted: ['accepted', 'rejected'],
+};
+
+const MAX_LEASE_MONTHS = 60;
+const MAX_OCCUPANTS = 20;
+
+/**
+ * Validate an application body.
+ * Returns { data } with rental_applications columns, or { error }.
+ */
+function validateApplication(body) {
+  const { message, moveInDate, leaseMonths, occupants } = body;
+
+  if (!message || !String(message).trim()) {
+    return { error: 'Message is required' };
+  }
+
+  const moveIn = new Date(moveInDate);
+  if (!moveInDate || isNaN(moveIn)) {
+    return { error: 'moveInDate must be a valid date' };
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (moveIn < today) {
+    return { error: 'moveInDate cannot be in the past' };
+  }
+
+  const months = parseInt(leaseMonths, 10);
+  if (isNaN(months) || months < 1 || months > MAX_LEASE_MONTHS) {
+    return { error: `leaseMonths must be between 1 and ${MAX_LEASE_MONTHS}` };
+  }
+
+  const people = parseInt(occupants, 10);
+  if (isNaN(people) || people < 1 || people > MAX_OCCUPANTS) {
+    return { error: `occupants must be between 1 and ${MAX_OCCUPANTS}` };
+  }
+
+  return {
+    data: {
+      message: String(message).trim(),
+      moveInDate: moveIn.toISOString().substring(0, 10),
+      leaseMonths: months,
+      occupants: people,
+    },
+  };
+}
+
+// Notify about an application; never fails the request
+async function notifyApplication(connection, { recipientUid, senderUid, title, body, application }) {
+  try {
+    await sendNotification({
+      recipientUid,
+      senderUid,
+      title,
+      body,
+      data: {
+        type: 'application',
+        applicationId: String(application.id),
+        roomId: String(application.roomId),
+        status: application.status,
+      },
+    }, connection);
+  } catch (error) {
+    console.error('applications: Error sending notification:', error);
+  }
+}
+
+// Submit an application for a room (renter)
+router.post('/rooms/:roomId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+
+    const { data, error } = validateApplication(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      `SELECT r.id, r.uid, r.title FROM room_postings r WHERE r.id = ? AND ${PUBLIC_ROOM_CONDITION}`,
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const room = rooms[0];
+
+    if (room.uid === uid) {
+      return res.status(400).json({ error: 'Cannot apply for your own room' });
+    }
+
+    const [existing] = await connection.query(
+      'SELECT id, status FROM rental_applications WHERE roomId = ? AND renterUid = ? AND status IN (?)',
+      [roomId, uid, [...OPEN_APPLICATION_STATUSES, 'accepted']]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: 'You have already applied for this room',
+        applicationId: existing[0].id,
+      });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO rental_applications SET ?, roomId = ?, renterUid = ?, landlordUid = ?,
+       status = 'submitted', createdAt = NOW(), updatedAt = NOW()`,
+      [data, roomId, uid, room.uid]
+    );
+
+    console.log(`applications/submit: id=${result.insertId}, room=${roomId}, renter=${uid}`);
+    recordRoomEvents([room.id], 'inquiry');
+
+    const renterName = await getDisplayName(connection, uid);
+    await notifyApplication(connection, {
+      recipientUid: room.uid,
+      senderUid: uid,
+      title: 'New rental application',
+      body: `${renterName} applied for "${room.title}".`,
+      application: { id: result.insertId, roomId: room.id, status: 'submitted' },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted',
+      applicationId: result.insertId,
+    });
+  } catch (error) {
+    console.error('applications/submit: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to submit application' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Applications for one of the landlord's rooms
+router.get('/rooms/:roomId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const { status } = req.query;
+    const uid = req.user.uid;
+
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query('SELECT uid FROM room_postings WHERE id = ?', [roomId]);
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    if (rooms[0].uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot view applications for other user\'s post' });
+    }
+
+    let query = `SELECT
+        a.*,
+        u.firstName as renterFirstName,
+        u.lastName as renterLastName,
+        u.imageUrl as renterImageUrl,
+        rm.age as renterAge,
+        rm.gender as renterGender
+      FROM rental_applications a
+      LEFT JOIN users u ON u.uid = a.renterUid
+      LEFT JOIN roomie_matches rm ON rm.uid = a.renterUid
+      WHERE a.roomId = ?`;
+    const params = [roomId];
+
+    if (status) {
+      query += ' AND a.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY a.createdAt DESC';
+
+    const [applications] = await connection.query(query, params);
+
+    res.status(200).json({
+      success: true,
+      applications: applications,
+      count: applications.length,
+    });
+  } catch (error) {
+    console.error('applications/inbox: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get applications' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// The renter's own applications
+router.get('/mine', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [applications] = await connection.query(
+      `SELECT
+        a.*,
+        r.title as roomTitle,
+        r.address as roomAddress,
+        r.status as roomStatus,
+        u.firstName as landlordFirstName,
+        u.lastName as landlordLastName,
+        u.imageUrl as landlordImageUrl
+      FROM rental_applications a
+      LEFT JOIN room_postings r ON r.id = a.roomId
+      LEFT JOIN users u ON u.uid = a.landlordUid
+      WHERE a.renterUid = ?
+      ORDER BY a.createdAt DESC`,
+      [uid]
+    );
+
+    res.status(200).json({
+      success: true,
+      applications: applications,
+      count: applications.length,
+    });
+  } catch (error) {
+    console.error('applications/mine: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get applications' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Shortlist, accept or reject an application (landlord).
+// Accepting with markRented: true marks the room rented and rejects the other open applications.
+router.patch('/:applicationId/status', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { applicationId } = req.params;
+    const { status, markRented } = req.body;
+    const uid = req.user.uid;
+
+    if (!['shortlisted', 'accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: shortlisted, accepted, rejected' });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [applications] = await connection.query(
+      'SELECT * FROM rental_applications WHERE id = ? FOR UPDATE',
+      [applicationId]
+    );
+
+    if (applications.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const application = applications[0];
+
+    if (application.landlordUid !== uid) {
+      await connection.rollback();
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (!(LANDLORD_TRANSITIONS[application.status] || []).includes(status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `Cannot change application from ${application.status} to ${status}`,
+      });
+    }
+
+    const [rooms] = await connection.query(
+      'SELECT id, title, status FROM room_postings WHERE id = ? FOR UPDATE',
+      [application.roomId]
+    );
+    const room = rooms[0];
+
+    const rentRoom = status === 'accepted' && markRented === true;
+
+    if (rentRoom && (!room || (room.status !== 'rented' && !canTransition(room.status, 'rented')))) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: room ? `Cannot mark a ${room.status} room as rented` : 'Room posting no longer exists',
+      });
+    }
+
+    await connection.query(
+      'UPDATE rental_applications SET status = ?, updatedAt = NOW() WHERE id = ?',
+      [status, applicationId]
+    );
+
+    let otherApplicants = [];
+    if (rentRoom) {
+      if (room.status !== 'rented') {
+        await connection.query(
+          'UPDATE room_postings SET status = "rented", statusChangedAt = NOW(), updatedAt = NOW() WHERE id = ?',
+          [room.id]
+        );
+        await recordRoomRevision(connection, room.id, uid, {
+          status: { from: room.status, to: 'rented' },
+        });
+      }
+
+      [otherApplicants] = await connection.query(
+        'SELECT * FROM rental_applications WHERE roomId = ? AND id <> ? AND status IN (?)',
+        [room.id, applicationId, OPEN_APPLICATION_STATUSES]
+      );
+
+      if (otherApplicants.length > 0) {
+        await connection.query(
+          'UPDATE rental_applications SET status = "rejected", updatedAt = NOW() WHERE id IN (?)',
+          [otherApplicants.map(other => other.id)]
+        );
+      }
+    }
+
+    await connection.commit();
+
+    console.log(`applications/status: id=${applicationId}, ${application.status} -> ${status}, rented=${rentRoom}`);
+
+    const roomTitle = room ? room.title : 'the room';
+    const messages = {
+      shortlisted: ['You\'ve been shortlisted', `Your application for "${roomTitle}" has been shortlisted.`],
+      accepted: ['Application accepted', `Your application for "${roomTitle}" has been accepted!`],
+      rejected: ['Application update', `Your application for "${roomTitle}" was not successful.`],
+    };
+
+    await notifyApplication(connection, {
+      recipientUid: application.renterUid,
+      senderUid: uid,
+      title: messages[status][0],
+      body: messages[status][1],
+      application: { ...application, status },
+    });
+
+    for (const other of otherApplicants) {
+      await notifyApplication(connection, {
+        recipientUid: other.renterUid,
+        senderUid: uid,
+        title: 'Room no longer available',
+        body: `"${roomTitle}" has been rented to another applicant.`,
+        application: { ...other, status: 'rejected' },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Application ${status}`,
+      status: status,
+      roomRented: rentRoom,
+      rejectedApplications: otherApplicants.length,
+    });
+  } catch (error) {
+    console.error('applications/status: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to update application' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Withdraw an application (renter)
+router.patch('/:applicationId/withdraw', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { applicationId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [applications] = await connection.query(
+      'SELECT * FROM rental_applications WHERE id = ?',
+      [applicationId]
+    );
+
+    if (applications.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const application = applications[0];
+
+    if (application.renterUid !== uid) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(409).json({ error: `Cannot withdraw an application that is ${application.status}` });
+    }
+
+    await connection.query(
+      'UPDATE rental_applications SET status = "withdrawn", updatedAt = NOW() WHERE id = ?',
+      [applicationId]
+    );
+
+    const renterName = await getDisplayName(connection, uid);
+    await notifyApplication(connection, {
+      recipientUid: application.landlordUid,
+      senderUid: uid,
+      title: 'Application withdrawn',
+      body: `${renterName} withdrew their application.`,
+      application: { ...application, status: 'withdrawn' },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn',
+    });
+  } catch (error) {
+    console.error('applications/withdraw: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to withdraw application' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate, requireAdmin } = require('../middleware/authMiddleware');
+const { BASE_CURRENCY, parseCurrency, SUPPORTED_CURRENCIES, clearExchangeRateCache } = require('../utils/currency');
+
+// Current exchange rates, as units per 1 USD (public)
+router.get('/', async (req, res) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      'SELECT currency, ratePerUsd, updatedAt FROM exchange_rates ORDER BY currency ASC'
+    );
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: BASE_CURRENCY,
+      rates: rows.map(row => ({ ...row, ratePerUsd: Number(row.ratePerUsd) })),
+    });
+  } catch (error) {
+    console.error('exchangeRates/list: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get exchange rates' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Set the rate for a currency (admin only)
+router.put('/:currency', authenticate, requireAdmin, async (req, res) => {
+  let connection;
+  try {
+    const currency = parseCurrency(req.params.currency);
+    const ratePerUsd = parseFloat(req.body.ratePerUsd);
+
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({
+        error: `Currency must be one of: ${SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY).join(', ')}`,
+      });
+    }
+
+    if (isNaN(ratePerUsd) || ratePerUsd <= 0) {
+      return res.status(400).json({ error: 'ratePerUsd must be a positive number' });
+    }
+
+    connection = await pool.getConnection();
+
+    await connection.query(
+      `INSERT INTO exchange_rates (currency, ratePerUsd, updatedBy, updatedAt)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE ratePerUsd = VALUES(ratePerUsd), updatedBy = VALUES(updatedBy), updatedAt = NOW()`,
+      [currency, ratePerUsd, req.user.uid]
+    );
+    clearExchangeRateCache();
+
+    console.log(`exchangeRates/update: ${currency}=${ratePerUsd} by ${req.user.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated',
+      rate: { currency, ratePerUsd },
+    });
+  } catch (error) {
+    console.error('exchangeRates/update: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to update exchange rate' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
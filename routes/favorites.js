@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate } = require('../middleware/authMiddleware');
+const { PUBLIC_ROOM_CONDITION } = require('../utils/roomLifecycle');
+const { parseJsonField } = require('../utils/jsonFields');
+const { recordRoomEvents } = require('../utils/roomAnalytics');
+
+// List the user's favorite rooms, including ones that are no longer available
+router.get('/', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    console.log('favorites/list: Fetching favorites for', uid);
+
+    connection = await pool.getConnection();
+
+    // LEFT JOIN so favorites of deleted rooms still come back
+    const [rows] = await connection.query(
+      `SELECT 
+        f.roomId,
+        f.createdAt as favoritedAt,
+        r.id,
+        r.uid,
+        r.title,
+        r.description,
+        r.price,
+        r.location,
+        r.address,
+        r.latitude,
+        r.longitude,
+        r.roomType,
+        r.dimension,
+        r.bedroom,
+        r.bathroom,
+        r.floor,
+        r.amenities,
+        r.images,
+        r.isFree,
+        r.status,
+        r.createdAt,
+        r.updatedAt,
+        u.firstName as ownerFirstName,
+        u.lastName as ownerLastName,
+        u.imageUrl as ownerImageUrl,
+        (SELECT COALESCE(AVG(rev.rating), 0) FROM reviews rev WHERE rev.landlordUid = r.uid) as ownerRating,
+        CASE WHEN r.id IS NOT NULL AND ${PUBLIC_ROOM_CONDITION} THEN 1 ELSE 0 END as isAvailable
+      FROM room_favorites f
+      LEFT JOIN room_postings r ON r.id = f.roomId
+      LEFT JOIN users u ON r.uid = u.uid
+      WHERE f.uid = ?
+      ORDER BY f.createdAt DESC`,
+      [uid]
+    );
+
+    const favorites = rows.map(row => {
+      const { roomId, favoritedAt, isAvailable, ...room } = row;
+      return {
+        roomId: roomId,
+        favoritedAt: favoritedAt,
+        isAvailable: isAvailable === 1,
+        // Deleted rooms have no details left to show
+        room: room.id === null ? null : {
+          ...room,
+          amenities: parseJsonField(room.amenities),
+          images: parseJsonField(room.images),
+        },
+      };
+    });
+
+    console.log(`favorites/list: Found ${favorites.length} favorites`);
+
+    res.status(200).json({
+      success: true,
+      favorites: favorites,
+      count: favorites.length,
+    });
+  } catch (error) {
+    console.error('favorites/list: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get favorites' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Favorite a room
+router.post('/:roomId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      `SELECT r.id FROM room_postings r WHERE r.id = ? AND ${PUBLIC_ROOM_CONDITION}`,
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const [result] = await connection.query(
+      'INSERT IGNORE INTO room_favorites (uid, roomId, createdAt) VALUES (?, ?, NOW())',
+      [uid, roomId]
+    );
+
+    console.log(`favorites/add: uid=${uid}, roomId=${roomId}, new=${result.affectedRows > 0}`);
+
+    if (result.affectedRows > 0) {
+      recordRoomEvents([roomId], 'favorite');
+    }
+
+    res.status(200).json({
+      success: true,
+      isFavorited: true,
+      message: result.affectedRows > 0 ? 'Room added to favorites' : 'Already in favorites',
+    });
+  } catch (error) {
+    console.error('favorites/add: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to favorite room' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Unfavorite a room (works for rooms that are gone too)
+router.delete('/:roomId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [result] = await connection.query(
+      'DELETE FROM room_favorites WHERE uid = ? AND roomId = ?',
+      [uid, roomId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      isFavorited: false,
+      message: 'Room removed from favorites',
+    });
+  } catch (error) {
+    console.error('favorites/remove: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to unfavorite room' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { loadLocations, locationPath } = require('../utils/locations');
+
+// Nest locations under their parents
+function buildTree(locations, parentId = null) {
+  return locations
+    .filter(location => location.parentId === parentId)
+    .map(location => ({ ...location, children: buildTree(locations, location.id) }));
+}
+
+// Location hierarchy (city > khan > sangkat) for pickers and filters (public).
+// Pass ?parentId= to get one level instead of the whole tree.
+router.get('/', async (req, res) => {
+  try {
+    const { locations } = await loadLocations();
+
+    if (req.query.parentId !== undefined) {
+      const parentId = parseInt(req.query.parentId, 10);
+      if (isNaN(parentId)) {
+        return res.status(400).json({ error: 'parentId must be a location id' });
+      }
+      const children = locations.filter(location => location.parentId === parentId);
+      return res.status(200).json({
+        success: true,
+        locations: children,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      locations: buildTree(locations),
+    });
+  } catch (error) {
+    console.error('locations/list: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get locations' });
+  }
+});
+
+// One location with its path from the city and its direct children
+router.get('/:locationId', async (req, res) => {
+  try {
+    const { locations, byId } = await loadLocations();
+    const location = byId.get(parseInt(req.params.locationId, 10));
+
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      location: location,
+      path: locationPath(byId, location.id),
+      children: locations.filter(child => child.parentId === location.id),
+    });
+  } catch (error) {
+    console.error('locations/get: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get location' });
+  }
+});
+
+module.exports = router;
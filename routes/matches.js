@@ -3,6 +3,7 @@ const router = express.Router();
 const pool = require('../config/db');
 const { authenticate, authorizeUser } = require('../middleware/authMiddleware');
 const admin = require('firebase-admin');
+const { getLikeQuota, consumeLike } = require('../utils/likeQuota');
 
 // Record a like
 router.post('/matches/like', authenticate, async (req, res) => {
@@ -18,17 +19,28 @@ router.post('/matches/like', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Cannot like yourself' });
     }
 
+    // The quota belongs to the signed-in user, so they can only like as themselves
+    if (likerUid !== req.user.uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot like on behalf of another user' });
+    }
+
     console.log('matches/like: Recording like from', likerUid, 'to', likedUid);
 
     connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Count the like first: this locks the liker's quota row, so repeated
+    // requests can't both get past the checks below
+    const { allowed, quota } = await consumeLike(likerUid, connection);
 
-    // Check if already liked
+    // Check if already liked; repeat likes are free, so give the like back
     const [existing] = await connection.query(
       'SELECT * FROM matches WHERE userId = ? AND matchedUserId = ?',
       [likerUid, likedUid]
     );
 
     if (existing.length > 0) {
+      await connection.rollback();
       console.log('matches/like: Already liked');
       return res.status(200).json({ 
         success: true, 
@@ -37,9 +49,19 @@ router.post('/matches/like', authenticate, async (req, res) => {
       });
     }
 
-    // Check if the other user already liked this user (mutual match)
+    if (!allowed) {
+      await connection.rollback();
+      console.log('matches/like: Daily like quota reached for', likerUid);
+      return res.status(429).json({
+        error: 'You have used all your likes for today',
+        quota: quota,
+      });
+    }
+
+    // Check if the other user already liked this user (mutual match).
+    // Locked so a rewind of that like can't run at the same time.
     const [reverseMatch] = await connection.query(
-      'SELECT * FROM matches WHERE userId = ? AND matchedUserId = ?',
+      'SELECT * FROM matches WHERE userId = ? AND matchedUserId = ? FOR UPDATE',
       [likedUid, likerUid]
     );
 
@@ -59,6 +81,7 @@ router.post('/matches/like', authenticate, async (req, res) => {
       );
       console.log('matches/like: Mutual match created!');
     }
+    await connection.commit();
 
     // Send notification to liked user
     try {
@@ -103,9 +126,11 @@ router.post('/matches/like', authenticate, async (req, res) => {
       success: true,
       isMatch: isMatch,
       message: isMatch ? 'Mutual match created!' : 'Like recorded',
+      quota: quota,
     });
   } catch (error) {
     console.error('matches/like: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
     res.status(500).json({ error: error.message || 'Failed to record like' });
   } finally {
     if (connection) connection.release();
@@ -133,6 +158,11 @@ router.post('/matches/pass', authenticate, async (req, res) => {
     );
 
     if (existing.length > 0) {
+      // Passing again restarts the expiry clock (see PASS_EXPIRY_DAYS)
+      await connection.query(
+        'UPDATE passes SET createdAt = NOW() WHERE userId = ? AND passedUid = ?',
+        [userId, passedUid]
+      );
       console.log('matches/pass: Already passed');
       return res.status(200).json({ success: true, message: 'Already passed' });
     }
@@ -157,6 +187,114 @@ router.post('/matches/pass', authenticate, async (req, res) => {
   }
 });
 
+// Undo the user's most recent like or pass, unless the like became a mutual match
+router.post('/matches/rewind', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    if (userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot rewind another user\'s swipes' });
+    }
+
+    console.log('matches/rewind: Rewinding last swipe for', userId);
+
+    connection = await pool.getConnection();
+
+    const [lastActions] = await connection.query(
+      `SELECT * FROM (
+        (SELECT 'like' as type, matchedUserId as uid, isMatch, createdAt
+         FROM matches WHERE userId = ? ORDER BY createdAt DESC LIMIT 1)
+        UNION ALL
+        (SELECT 'pass' as type, passedUid as uid, 0 as isMatch, createdAt
+         FROM passes WHERE userId = ? ORDER BY createdAt DESC LIMIT 1)
+      ) lastSwipes
+      ORDER BY createdAt DESC
+      LIMIT 1`,
+      [userId, userId]
+    );
+
+    if (lastActions.length === 0) {
+      return res.status(404).json({ error: 'Nothing to rewind' });
+    }
+
+    const last = lastActions[0];
+    const mutualError = 'Your last like became a match. Unmatch instead.';
+
+    if (last.isMatch === 1) {
+      return res.status(409).json({ error: mutualError });
+    }
+
+    await connection.beginTransaction();
+
+    if (last.type === 'like') {
+      // Lock the like so the other user can't like back while it is removed
+      const [likeRows] = await connection.query(
+        'SELECT isMatch FROM matches WHERE userId = ? AND matchedUserId = ? FOR UPDATE',
+        [userId, last.uid]
+      );
+      if (likeRows.length === 0 || likeRows[0].isMatch === 1) {
+        await connection.rollback();
+        return res.status(409).json({ error: mutualError });
+      }
+
+      const [result] = await connection.query(
+        'DELETE FROM matches WHERE userId = ? AND matchedUserId = ? AND isMatch = 0',
+        [userId, last.uid]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(409).json({ error: mutualError });
+      }
+    } else {
+      await connection.query(
+        'DELETE FROM passes WHERE userId = ? AND passedUid = ?',
+        [userId, last.uid]
+      );
+    }
+    await connection.commit();
+
+    console.log(`matches/rewind: Removed ${last.type} of ${last.uid}`);
+
+    res.status(200).json({
+      success: true,
+      message: last.type === 'like' ? 'Like undone' : 'Pass undone',
+      rewound: { type: last.type, uid: last.uid },
+    });
+  } catch (error) {
+    console.error('matches/rewind: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to rewind' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Remaining likes for today and when the quota resets
+router.get('/matches/quota/:uid', authenticate, authorizeUser, async (req, res) => {
+  let connection;
+  try {
+    const { uid } = req.params;
+
+    connection = await pool.getConnection();
+    const quota = await getLikeQuota(uid, connection);
+
+    res.status(200).json({
+      success: true,
+      quota: quota,
+    });
+  } catch (error) {
+    console.error('matches/quota: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get like quota' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // Get all matches for a user
 router.get('/matches/:uid', authenticate, authorizeUser, async (req, res) => {
   let connection;
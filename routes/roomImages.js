@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const multer = require('multer');
+const pool = require('../config/db');
+const storage = require('../storage');
+const { authenticate } = require('../middleware/authMiddleware');
+const { MAX_IMAGE_BYTES, ALLOWED_MIME_TYPES, processImage } = require('../utils/imageProcessing');
+const { variantKey, removeImageFiles } = require('../utils/roomImages');
+
+// Keep uploads in memory; they are re-encoded before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported file type: ${file.mimetype}. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Run multer and turn its errors into 400/413 responses
+function uploadSingleImage(req, res, next) {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `Image is too large. Maximum size is ${Math.round(MAX_IMAGE_BYTES / (1024 * 1024))} MB`,
+      });
+    }
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: 'Upload a single file in the "image" field' });
+    }
+    next(error);
+  });
+}
+
+// Upload a room image (multipart/form-data, field "image")
+router.post('/', authenticate, uploadSingleImage, async (req, res) => {
+  let connection;
+  const savedKeys = [];
+  try {
+    const uid = req.user.uid;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'An "image" file is required' });
+    }
+
+    console.log(`roomImages/upload: uid=${uid}, type=${req.file.mimetype}, bytes=${req.file.size}`);
+
+    const { variants, width, height, error } = await processImage(req.file.buffer);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const storageKey = `rooms/${uid}/${crypto.randomUUID()}`;
+    const urls = {};
+    for (const [variant, output] of Object.entries(variants)) {
+      const key = variantKey(storageKey, variant);
+      urls[variant] = await storage.save(key, output.data, 'image/jpeg');
+      savedKeys.push(key);
+    }
+
+    connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `INSERT INTO room_images 
+       (uid, storageKey, url, mediumUrl, thumbnailUrl, width, height, bytes, createdAt) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [uid, storageKey, urls.large, urls.medium, urls.thumbnail, width, height, variants.large.data.length]
+    );
+
+    console.log(`roomImages/upload: Stored image id=${result.insertId}`);
+
+    res.status(201).json({
+      success: true,
+      image: {
+        id: result.insertId,
+        url: urls.large,
+        mediumUrl: urls.medium,
+        thumbnailUrl: urls.thumbnail,
+        width: width,
+        height: height,
+      },
+    });
+  } catch (error) {
+    console.error('roomImages/upload: Error:', error);
+    // Don't leave files behind without a database row
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    res.status(500).json({ error: error.message || 'Failed to upload image' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Delete an uploaded image that no posting uses
+router.delete('/:imageId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { imageId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT * FROM room_images WHERE id = ?', [imageId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const image = rows[0];
+
+    if (image.uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot delete other user\'s image' });
+    }
+
+    if (image.roomId !== null) {
+      return res.status(409).json({
+        error: 'Image is used by a room posting. Remove it from the posting first.',
+        roomId: image.roomId,
+      });
+    }
+
+    // Only while still unattached, in case a posting took it meanwhile
+    const [result] = await connection.query('DELETE FROM room_images WHERE id = ? AND roomId IS NULL', [imageId]);
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: 'Image is used by a room posting. Remove it from the posting first.' });
+    }
+    await removeImageFiles(image);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+    });
+  } catch (error) {
+    console.error('roomImages/delete: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete image' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
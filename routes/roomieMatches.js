@@ -2,24 +2,93 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { authenticate, authorizeUser } = require('../middleware/authMiddleware');
+const {
+  SUPPORTED_CURRENCIES,
+  parseCurrency,
+  toBaseSql,
+  BOUND_AMOUNT_BASE_SQL,
+  loadExchangeRates,
+  convertAmount,
+  resolveViewerCurrency,
+} = require('../utils/currency');
+const { loadLocations, locationSubtreeSql, resolveLocationInput } = require('../utils/locations');
+const { scoreCompatibility } = require('../utils/roomieCompatibility');
+const { parseLookingForInput, formatLookingFor, lookingForSql } = require('../utils/lookingFor');
+const { HABIT_FIELDS, parseHabitInput, parseDealbreakers, dealbreakerSql, formatHabits } = require('../utils/dealbreakers');
+
+// Candidate budgets in USD, so budgets in different currencies can overlap
+const MIN_BUDGET_BASE_SQL = toBaseSql('rm.minBudget', 'rm.budgetCurrency');
+const MAX_BUDGET_BASE_SQL = toBaseSql('rm.maxBudget', 'rm.budgetCurrency');
+
+// Most recently updated profiles scored per request, and how many are returned
+const MAX_MATCH_CANDIDATES = 500;
+const MATCH_RESULT_LIMIT = 50;
+
+// Passed profiles show up again after this many days; 0 keeps them hidden
+const PASS_EXPIRY_DAYS = parseInt(process.env.PASS_EXPIRY_DAYS || '0', 10);
 
 // Create or Update Roomie Match Preferences (WITH GENDER)
 router.post('/renter/:uid/roomie-match', authenticate, authorizeUser, async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
-    const { age, gender, description, lifestyles, interests, location, minBudget, maxBudget } = req.body;
+    const { age, gender, description, lifestyles, interests, location, locationId, minBudget, maxBudget, budgetCurrency, preferredRoomTypes, lookingFor } = req.body;
 
     console.log('roomieMatches/post: Received data:', { uid, age, gender, description: description?.substring(0, 50), lifestyles, interests, location, minBudget, maxBudget });
 
-    if (!age || !gender || !description || !lifestyles || !interests || !location || minBudget === undefined || maxBudget === undefined) {
+    if (!age || !gender || !description || !lifestyles || !interests || (!location && !locationId) || minBudget === undefined || maxBudget === undefined) {
       console.error('roomieMatches/post: Missing required fields');
       return res.status(400).json({ error: 'All fields (age, gender, description, lifestyles, interests, location, minBudget, maxBudget) are required' });
     }
 
+    // Budgets keep their stored currency when none is sent, else default to USD
+    let currency = budgetCurrency === undefined ? null : parseCurrency(budgetCurrency);
+    if (budgetCurrency !== undefined && !currency) {
+      return res.status(400).json({ error: `budgetCurrency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    // Optional room types for the "Rooms for you" feed, e.g. ["Single", "Studio"]
+    if (preferredRoomTypes !== undefined && preferredRoomTypes !== null && (
+      !Array.isArray(preferredRoomTypes) ||
+      preferredRoomTypes.some(type => typeof type !== 'string' || !type.trim())
+    )) {
+      return res.status(400).json({ error: 'preferredRoomTypes must be a list of room types' });
+    }
+
+    // Optional habits (smoking, pets, ...) and the ones the user won't accept
+    const { fields: habitFields, error: habitError } = parseHabitInput(req.body);
+    if (habitError) {
+      return res.status(400).json({ error: habitError });
+    }
+
+    // Optional criteria for who they'd room with; matching is two-way
+    const { fields: lookingForFields, error: lookingForError } = parseLookingForInput(lookingFor);
+    if (lookingForError) {
+      return res.status(400).json({ error: lookingForError });
+    }
+
     connection = await pool.getConnection();
-    const [existing] = await connection.query('SELECT 1 FROM roomie_matches WHERE uid = ?', [uid]);
-    
+
+    // Link the preferred area to the location hierarchy
+    const { error: locationError, ...locationFields } = await resolveLocationInput(connection, { locationId, location });
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    const [existing] = await connection.query(
+      'SELECT budgetCurrency, lookingForMinBudget, lookingForMaxBudget FROM roomie_matches WHERE uid = ?',
+      [uid]
+    );
+    const previous = existing[0];
+    currency = currency || (previous && previous.budgetCurrency) || 'USD';
+
+    // Stored lookingFor budgets are in budgetCurrency, so follow a currency change
+    if (previous && lookingFor === undefined && previous.budgetCurrency !== currency) {
+      const rates = await loadExchangeRates(connection);
+      lookingForFields.lookingForMinBudget = convertAmount(previous.lookingForMinBudget, previous.budgetCurrency, currency, rates);
+      lookingForFields.lookingForMaxBudget = convertAmount(previous.lookingForMaxBudget, previous.budgetCurrency, currency, rates);
+    }
+
     const data = {
       uid,
       gender,
@@ -27,13 +96,21 @@ router.post('/renter/:uid/roomie-match', authenticate, authorizeUser, async (req
       description,
       lifestyles: JSON.stringify(lifestyles),
       interests: JSON.stringify(interests),
-      location,
+      location: locationFields.location,
+      locationId: locationFields.locationId,
       minBudget,
       maxBudget,
+      budgetCurrency: currency,
+      ...habitFields,
+      ...lookingForFields,
       hasCompleted: 1,
       updatedAt: new Date(),
     };
 
+    if (preferredRoomTypes !== undefined) {
+      data.preferredRoomTypes = preferredRoomTypes ? JSON.stringify(preferredRoomTypes.map(type => type.trim())) : null;
+    }
+
     if (existing.length > 0) {
       await connection.query('UPDATE roomie_matches SET ? WHERE uid = ?', [data, uid]);
       console.log('roomieMatches/post: Updated preferences for uid:', uid);
@@ -87,6 +164,9 @@ router.get('/renter/:uid/roomie-match', authenticate, authorizeUser, async (req,
 
     preferences.lifestyles = parseArrayField(preferences.lifestyles, 'lifestyles');
     preferences.interests = parseArrayField(preferences.interests, 'interests');
+    preferences.preferredRoomTypes = parseArrayField(preferences.preferredRoomTypes, 'preferredRoomTypes');
+    preferences.dealbreakers = parseDealbreakers(preferences.dealbreakers);
+    preferences.lookingFor = formatLookingFor(preferences);
 
     console.log('roomieMatches/get: Retrieved preferences for uid:', uid);
 
@@ -106,7 +186,7 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
   let connection;
   try {
     const { uid } = req.params;
-    const { location, minBudget, maxBudget, interestedIn, minAge, maxAge } = req.query;
+    const { location, locationId, minBudget, maxBudget, interestedIn, minAge, maxAge, currency: requestedCurrency } = req.query;
 
     console.log('roomieMatches/matches: Fetching matches for uid:', uid);
     console.log('  Query params received:', { location, minBudget, maxBudget, interestedIn, minAge, maxAge });
@@ -123,6 +203,15 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
       return res.status(404).json({ error: 'User preferences not found' });
     }
 
+    // Budget filters and displayed budgets use the viewer's currency
+    const { currency, error: currencyError } = await resolveViewerCurrency(connection, requestedCurrency, uid);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    const rates = await loadExchangeRates(connection);
+    // Budget query params are in the caller's own budget currency unless `currency` is given
+    const budgetFilterCurrency = requestedCurrency ? currency : (currentUser[0].budgetCurrency || 'USD');
+
     // Build query to find matches, excluding users already liked or passed
     let query = `
       SELECT 
@@ -133,8 +222,11 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
         rm.lifestyles,
         rm.interests,
         rm.location,
+        rm.locationId,
         rm.minBudget,
         rm.maxBudget,
+        rm.budgetCurrency,
+        ${HABIT_FIELDS.map(habit => `rm.${habit}`).join(', ')},
         u.firstName,
         u.lastName,
         u.imageUrl
@@ -146,11 +238,20 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
           SELECT matchedUserId FROM matches WHERE userId = ?
         )
         AND rm.uid NOT IN (
-          SELECT passedUid FROM passes WHERE userId = ?
+          SELECT passedUid FROM passes WHERE userId = ?${PASS_EXPIRY_DAYS > 0 ? ' AND createdAt > NOW() - INTERVAL ? DAY' : ''}
         )
     `;
     
     const params = [uid, uid, uid];
+    if (PASS_EXPIRY_DAYS > 0) {
+      params.push(PASS_EXPIRY_DAYS);
+    }
+
+    // Both users' stored "looking for" criteria must accept each other.
+    // The query params below can only narrow this further.
+    const criteria = lookingForSql(currentUser[0]);
+    query += criteria.sql;
+    params.push(...criteria.params);
 
     // Apply location filter ONLY if provided
     if (location && location !== 'Select Khan' && location !== 'Not set' && location !== 'undefined') {
@@ -159,15 +260,26 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
       console.log('roomieMatches/matches: Applying location filter:', location);
     }
 
+    // Location id filter also matches every area inside it, e.g. sangkats in a khan
+    if (locationId !== undefined && locationId !== '' && locationId !== 'undefined') {
+      const locationIdNum = parseInt(locationId, 10);
+      if (isNaN(locationIdNum)) {
+        return res.status(400).json({ error: 'locationId must be a location id' });
+      }
+      query += ` AND ${locationSubtreeSql('rm.locationId')}`;
+      params.push(locationIdNum);
+      console.log('roomieMatches/matches: Applying locationId filter:', locationIdNum);
+    }
+
     // Apply budget filter ONLY if BOTH minBudget and maxBudget are provided
     if (minBudget !== undefined && maxBudget !== undefined && minBudget !== 'undefined' && maxBudget !== 'undefined') {
       const minBudgetNum = parseFloat(minBudget);
       const maxBudgetNum = parseFloat(maxBudget);
       
-      // User's budget range overlaps with potential match's budget range
-      query += ' AND rm.minBudget <= ? AND rm.maxBudget >= ?';
-      params.push(maxBudgetNum, minBudgetNum);
-      console.log('roomieMatches/matches: Applying budget filter:', minBudgetNum, '-', maxBudgetNum);
+      // User's budget range overlaps with potential match's budget range, compared in USD
+      query += ` AND ${MIN_BUDGET_BASE_SQL} <= ${BOUND_AMOUNT_BASE_SQL} AND ${MAX_BUDGET_BASE_SQL} >= ${BOUND_AMOUNT_BASE_SQL}`;
+      params.push(maxBudgetNum, budgetFilterCurrency, minBudgetNum, budgetFilterCurrency);
+      console.log('roomieMatches/matches: Applying budget filter:', minBudgetNum, '-', maxBudgetNum, budgetFilterCurrency);
     }
 
     // Apply gender filter ONLY if provided and not empty
@@ -187,7 +299,14 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
       console.log('roomieMatches/matches: Applying age filter:', minAgeNum, '-', maxAgeNum);
     }
 
-    query += ' ORDER BY RAND() LIMIT 50';
+    // Hard constraints: drop anyone failing either side's dealbreakers
+    const dealbreakers = dealbreakerSql(currentUser[0]);
+    query += dealbreakers.sql;
+    params.push(...dealbreakers.params);
+
+    // Ranked by compatibility below, so only cap the candidate set here
+    query += ' ORDER BY rm.updatedAt DESC LIMIT ?';
+    params.push(MAX_MATCH_CANDIDATES);
 
     console.log('roomieMatches/matches: Final query:', query);
     console.log('roomieMatches/matches: Params:', params);
@@ -196,8 +315,15 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
 
     console.log(`roomieMatches/matches: Found ${matches.length} potential matches`);
 
+    // Rank by compatibility with the caller's own preferences
+    const { byId } = await loadLocations(connection);
+    const ranked = matches
+      .map(match => ({ match, ...scoreCompatibility(currentUser[0], match, { rates, byId }) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MATCH_RESULT_LIMIT);
+
     // Parse JSON fields
-    const formattedMatches = matches.map(match => {
+    const formattedMatches = ranked.map(({ match, score, scoreBreakdown }) => {
       const parseArrayField = (field) => {
         if (Array.isArray(field)) return field;
         if (typeof field === 'string') {
@@ -221,11 +347,23 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
         lifestyles: parseArrayField(match.lifestyles),
         gender: match.gender,
         location: match.location,
+        locationId: match.locationId,
         minBudget: parseFloat(match.minBudget),
         maxBudget: parseFloat(match.maxBudget),
+        budgetCurrency: match.budgetCurrency,
+        habits: formatHabits(match),
+        // Budget converted to the viewer's currency
+        displayBudget: {
+          min: convertAmount(match.minBudget, match.budgetCurrency, currency, rates),
+          max: convertAmount(match.maxBudget, match.budgetCurrency, currency, rates),
+          currency: currency,
+        },
+        // Compatibility (0-100) and each factor's share of it
+        score,
+        scoreBreakdown,
       };
 
-      console.log(`roomieMatches/matches: Match ${match.uid} - Gender: ${match.gender}, Name: ${match.firstName} ${match.lastName}`);
+      console.log(`roomieMatches/matches: Match ${match.uid} - Gender: ${match.gender}, Name: ${match.firstName} ${match.lastName}, Score: ${score}`);
       
       return formattedMatch;
     });
@@ -234,6 +372,7 @@ router.get('/renter/:uid/matches', authenticate, authorizeUser, async (req, res)
       success: true,
       matches: formattedMatches,
       count: formattedMatches.length,
+      currency: currency,
     });
   } catch (error) {
     console.error('roomieMatches/matches: Error:', error);
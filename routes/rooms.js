@@ -1,49 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const pool = require('../config/db');
-const { authenticate } = require('../middleware/authMiddleware');
-
-// Update the parseJsonField function to handle more edge cases
-function parseJsonField(field, defaultValue = []) {
-  // If it's already an array (MySQL auto-parsed it), return as-is
-  if (Array.isArray(field)) {
-    return field;
-  }
-  
-  // If it's already an object, return as-is
-  if (typeof field === 'object' && field !== null) {
-    return field;
-  }
-  
-  // If it's a string, try to parse it
-  if (typeof field === 'string') {
-    try {
-      const parsed = JSON.parse(field);
-      return parsed;
-    } catch (e) {
-      console.error('Failed to parse JSON field:', e.message);
-      // Handle comma-separated strings (legacy format)
-      if (field.includes(',')) {
-        return field.split(',').map(item => item.trim()).filter(item => item);
-      }
-      // If it's an empty string or 'null', return default value
-      if (!field.trim() || field.trim().toLowerCase() === 'null') {
-          return defaultValue;
-      }
-      // If it's a single non-empty string, return as array with one item
-      if (field.trim()) {
-        return [field.trim()];
-      }
-    }
-  }
-  
-  // Handle null/undefined
-  if (field === null || field === undefined) {
-    return defaultValue;
-  }
-  
-  return defaultValue;
-}
+const { authenticate, optionalAuthenticate } = require('../middleware/authMiddleware');
+const {
+  ROOM_STATUSES,
+  PUBLIC_ROOM_CONDITION,
+  canTransition,
+  findUsableSubscription,
+  expireLapsedPostings,
+  recordRoomRevision,
+} = require('../utils/roomLifecycle');
+const { parseLatitude, parseLongitude } = require('../utils/geo');
+const { parseDateOnly } = require('../utils/dates');
+const {
+  parseBrowseOptions,
+  buildRoomFilters,
+  fetchRoomPage,
+  formatBrowseRoom,
+  formatLeaseTerms,
+  displayPrice,
+} = require('../utils/roomBrowse');
+const { notifySavedSearchMatches } = require('../utils/savedSearches');
+const { parseJsonField } = require('../utils/jsonFields');
+const { viewerKeyFor, recordRoomEvents } = require('../utils/roomAnalytics');
+const { checkForDuplicates, findRepostIndex } = require('../utils/duplicateDetection');
+const { normalizeAmenities, syncRoomAmenities, getRoomAmenityDetails } = require('../utils/amenities');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  parseCurrency,
+  loadExchangeRates,
+  resolveViewerCurrency,
+} = require('../utils/currency');
+const { loadLocations, locationPath, resolveLocationInput } = require('../utils/locations');
+const { REPORT_REASONS, MAX_REPORT_DETAILS_LENGTH, autoHideIfReported } = require('../utils/moderation');
+const { recordPriceChange, getPriceHistory, notifyPriceDrop } = require('../utils/priceHistory');
+const { IMPORT_STATUSES, parseRoomCsv, roomsToCsv } = require('../utils/roomCsv');
+const { loadFeedCandidates, rankRooms } = require('../utils/roomFeed');
+const {
+  loadOwnedImages,
+  resolveCover,
+  imageUrls,
+  attachRoomImages,
+  getRoomPhotos,
+  removeImageFiles,
+} = require('../utils/roomImages');
 
 /**
  * Safely parse an integer or return null.
@@ -58,112 +60,378 @@ function safeParseInt(value) {
     return isNaN(num) ? null : num;
 }
 
+// Fields every room posting must have, with the label used in error messages
+const REQUIRED_ROOM_FIELDS = [
+  ['address', 'Address'],
+  ['title', 'Title'],
+  ['description', 'Description'],
+  ['location', 'Location'],
+  ['roomType', 'Room type'],
+];
 
-// Create room posting
-router.post('/', authenticate, async (req, res) => {
-  let connection;
-  try {
-    const uid = req.user.uid;
-    const roomData = req.body;
+const JSON_ROOM_FIELDS = ['amenities', 'images'];
+// Columns derived from other fields; kept in sync but not shown in revisions
+const DERIVED_ROOM_FIELDS = ['amenitiesText'];
+const NUMERIC_ROOM_FIELDS = [
+  'price', 'bedroom', 'bathroom', 'floor', 'isFree', 'latitude', 'longitude',
+  'minLeaseMonths', 'deposit', 'utilitiesIncluded', 'utilitiesCost', 'locationId',
+];
+const DATE_ROOM_FIELDS = ['availableFrom'];
 
-    console.log('Creating room posting for uid:', uid);
-    console.log('Room data received:', roomData);
+const MAX_LEASE_MONTHS = 60;
+const BOOLEAN_VALUES = [true, false, 1, 0, '1', '0', 'true', 'false'];
 
-    connection = await pool.getConnection();
+const isBlank = (value) => value === null || value === undefined || value === '';
 
-    // Check for active subscription
-    const [subscriptionRows] = await connection.query(
-      'SELECT * FROM subscriptions WHERE uid = ? AND status = "active" ORDER BY createdAt DESC LIMIT 1',
-      [uid]
-    );
+// Optional boolean column: null when not given, otherwise 1 or 0
+function parseOptionalFlag(value) {
+  if (isBlank(value)) {
+    return null;
+  }
+  return [true, 1, '1', 'true'].includes(value) ? 1 : 0;
+}
 
-    if (subscriptionRows.length === 0) {
-      return res.status(403).json({ 
-        error: 'No active subscription found. Please subscribe to create a post.' 
-      });
+function parseOptionalAmount(value) {
+  return isBlank(value) ? null : Number(value);
+}
+
+/**
+ * Validate room posting input.
+ * Returns an error message, or null if the data is valid.
+ */
+function validateRoomData(roomData) {
+  for (const [field, label] of REQUIRED_ROOM_FIELDS) {
+    if (!roomData[field]) {
+      return `${label} is required`;
     }
+  }
 
-    const subscription = subscriptionRows[0];
-    const now = new Date();
-    const expiresAt = new Date(subscription.expiresAt);
+  // Coordinates are optional, but must come as a valid pair
+  const hasLatitude = !isBlank(roomData.latitude);
+  const hasLongitude = !isBlank(roomData.longitude);
+  if (hasLatitude !== hasLongitude) {
+    return 'Latitude and longitude must be provided together';
+  }
+  if (hasLatitude && parseLatitude(roomData.latitude) === null) {
+    return 'Latitude must be a number between -90 and 90';
+  }
+  if (hasLongitude && parseLongitude(roomData.longitude) === null) {
+    return 'Longitude must be a number between -180 and 180';
+  }
 
-    // Check if subscription expired
-    if (expiresAt <= now) {
-      await connection.query(
-        'UPDATE subscriptions SET status = "expired" WHERE id = ?',
-        [subscription.id]
-      );
-      return res.status(403).json({ 
-        error: 'Your subscription has expired. Please renew to create a post.' 
-      });
+  if (!isBlank(roomData.isFree) && !BOOLEAN_VALUES.includes(roomData.isFree)) {
+    return 'Is free must be true or false';
+  }
+  if (!parseOptionalFlag(roomData.isFree) && !isBlank(roomData.price) && !(Number(roomData.price) >= 0)) {
+    return 'Price must be a number of 0 or more';
+  }
+
+  // Lease terms are optional
+  if (!isBlank(roomData.availableFrom) && parseDateOnly(roomData.availableFrom) === null) {
+    return 'Available from must be a date in YYYY-MM-DD format';
+  }
+  if (!isBlank(roomData.minLeaseMonths)) {
+    const months = Number(roomData.minLeaseMonths);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_LEASE_MONTHS) {
+      return `Minimum lease must be a whole number of months between 1 and ${MAX_LEASE_MONTHS}`;
+    }
+  }
+  for (const [field, label] of [['deposit', 'Deposit'], ['utilitiesCost', 'Utilities cost']]) {
+    if (!isBlank(roomData[field]) && !(Number(roomData[field]) >= 0)) {
+      return `${label} must be a number of 0 or more`;
     }
+  }
+  if (!isBlank(roomData.utilitiesIncluded) && !BOOLEAN_VALUES.includes(roomData.utilitiesIncluded)) {
+    return 'Utilities included must be true or false';
+  }
+  if (!isBlank(roomData.priceCurrency) && !parseCurrency(roomData.priceCurrency)) {
+    return `Price currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
 
-    // Check per_post limit
-    if (subscription.planType === 'per_post') {
-      const [postRows] = await connection.query(
-        'SELECT COUNT(*) as postCount FROM room_postings WHERE uid = ? AND subscriptionId = ?',
-        [uid, subscription.id]
-      );
+  return null;
+}
 
-      if (postRows[0].postCount >= 1) {
-        return res.status(403).json({ 
-          error: 'You have already used your single post. Please subscribe again to create another post.' 
-        });
-      }
+/**
+ * Map request data onto room_postings columns with proper types.
+ */
+function buildRoomFields(roomData) {
+  return {
+    title: roomData.title || '',
+    description: roomData.description || '',
+    price: parseOptionalFlag(roomData.isFree) ? null : parseOptionalAmount(roomData.price),
+    // Also the currency of deposit and utilitiesCost
+    priceCurrency: parseCurrency(roomData.priceCurrency) || BASE_CURRENCY,
+    location: roomData.location || '',
+    locationId: safeParseInt(roomData.locationId),
+    address: roomData.address || '',
+    roomType: roomData.roomType || '',
+    dimension: roomData.dimension || null,
+    // FIX: Use safeParseInt for optional integer fields
+    bedroom: safeParseInt(roomData.bedroom),
+    bathroom: safeParseInt(roomData.bathroom),
+    floor: safeParseInt(roomData.floor),
+    latitude: parseLatitude(roomData.latitude),
+    longitude: parseLongitude(roomData.longitude),
+    // Ensure amenities and images are stringified JSON arrays for MySQL
+    amenities: JSON.stringify(roomData.amenities || []),
+    images: JSON.stringify(roomData.images || []),
+    // Plain-text copy of amenities for the full-text index
+    amenitiesText: [].concat(roomData.amenities || []).join(' '),
+    isFree: parseOptionalFlag(roomData.isFree) || 0,
+    availableFrom: isBlank(roomData.availableFrom) ? null : parseDateOnly(roomData.availableFrom),
+    minLeaseMonths: safeParseInt(roomData.minLeaseMonths),
+    deposit: parseOptionalAmount(roomData.deposit),
+    utilitiesIncluded: parseOptionalFlag(roomData.utilitiesIncluded),
+    // A separate utilities cost only makes sense when they are not included
+    utilitiesCost: parseOptionalFlag(roomData.utilitiesIncluded) === 1 ? null : parseOptionalAmount(roomData.utilitiesCost),
+  };
+}
+
+/**
+ * Convert a room_postings row back into request-shaped data,
+ * so a partial update can be merged on top of it.
+ */
+function roomRowToData(row) {
+  return {
+    ...row,
+    amenities: parseJsonField(row.amenities),
+    images: parseJsonField(row.images),
+    isFree: row.isFree === 1,
+    availableFrom: row.availableFrom ? parseDateOnly(row.availableFrom) : null,
+  };
+}
+
+// Normalize a column value so DB values and request values compare equal
+function normalizeRoomValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (JSON_ROOM_FIELDS.includes(field)) {
+    return parseJsonField(value);
+  }
+  if (NUMERIC_ROOM_FIELDS.includes(field)) {
+    return Number(value);
+  }
+  if (DATE_ROOM_FIELDS.includes(field)) {
+    return parseDateOnly(value);
+  }
+  return String(value);
+}
+
+/**
+ * Compare an existing room row with new column values.
+ * Returns { field: { from, to } } for every column that changed.
+ */
+function diffRoomFields(existing, fields) {
+  const changes = {};
+  for (const field of Object.keys(fields)) {
+    if (DERIVED_ROOM_FIELDS.includes(field)) continue;
+    const from = normalizeRoomValue(field, existing[field]);
+    const to = normalizeRoomValue(field, fields[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
     }
+  }
+  return changes;
+}
 
-    // Validate required fields
-    if (!roomData.address) {
-      return res.status(400).json({ error: 'Address is required' });
+/**
+ * Resolve managed images (`imageIds`, `coverImageId`) sent with a posting.
+ * Returns { managed: null } when the request doesn't use them,
+ * { managed: { images, coverId } }, or { error }.
+ */
+async function resolveManagedImages(connection, uid, body, roomId = null) {
+  let imageIds = body.imageIds;
+
+  // Changing only the cover keeps the posting's current images
+  if (imageIds === undefined && body.coverImageId !== undefined && roomId) {
+    const [current] = await connection.query(
+      'SELECT id FROM room_images WHERE roomId = ? ORDER BY position ASC, id ASC',
+      [roomId]
+    );
+    imageIds = current.map(row => row.id);
+  }
+
+  // Plain image URLs can't change a posting whose photos are uploads;
+  // re-sending the current list (e.g. in a PUT) is fine
+  if (imageIds === undefined && body.images !== undefined && roomId) {
+    const [current] = await connection.query(
+      'SELECT url FROM room_images WHERE roomId = ? ORDER BY isCover DESC, position ASC, id ASC',
+      [roomId]
+    );
+    const currentUrls = current.map(row => row.url);
+    if (current.length > 0 && JSON.stringify(parseJsonField(body.images)) !== JSON.stringify(currentUrls)) {
+      return { error: 'This posting uses uploaded photos. Send imageIds (and coverImageId) to change them' };
+    }
+  }
+
+  if (imageIds === undefined) {
+    return { managed: null };
+  }
+
+  const { images, error } = await loadOwnedImages(connection, uid, imageIds, roomId);
+  if (error) {
+    return { error };
+  }
+
+  const { coverId, error: coverError } = resolveCover(images, body.coverImageId);
+  if (coverError) {
+    return { error: coverError };
+  }
+
+  return { managed: { images, coverId } };
+}
+
+/**
+ * Fill in the viewer's currency (query parameter, preferred currency or USD)
+ * for browse price filters, and the rates to show prices in it.
+ */
+async function withViewerCurrency(connection, options, viewerUid) {
+  const { currency } = await resolveViewerCurrency(connection, options.currency, viewerUid);
+  return {
+    options: { ...options, currency },
+    pricing: { currency, rates: await loadExchangeRates(connection) },
+  };
+}
+
+// Messages for findUsableSubscription() failure reasons
+const SUBSCRIPTION_ERRORS = {
+  no_subscription: 'No active subscription found. Please subscribe to create a post.',
+  subscription_expired: 'Your subscription has expired. Please renew to create a post.',
+  per_post_used: 'You have already used your single post. Please subscribe again to create another post.',
+};
+
+/**
+ * Check that a landlord may create postings: not suspended, with a usable
+ * subscription. Returns { subscription } or { error } for a 403 response.
+ */
+async function checkCanCreatePosts(connection, uid) {
+  const [userRows] = await connection.query('SELECT isSuspended FROM users WHERE uid = ?', [uid]);
+  if (userRows.length > 0 && userRows[0].isSuspended) {
+    return { error: 'Your account is suspended and cannot create posts.' };
+  }
+
+  // Check for active subscription and per_post limit
+  const { subscription, reason } = await findUsableSubscription(connection, uid);
+  if (reason) {
+    return { error: SUBSCRIPTION_ERRORS[reason] };
+  }
+
+  return { subscription };
+}
+
+/**
+ * Link new posting data to the location hierarchy, validate it and map its
+ * amenities onto the catalog. Returns { roomData, amenityKeys } or { error }.
+ */
+async function prepareNewRoomData(connection, input) {
+  const { error: locationError, ...locationFields } = await resolveLocationInput(connection, input);
+  if (locationError) {
+    return { error: locationError };
+  }
+  const roomData = { ...input, ...locationFields };
+
+  const validationError = validateRoomData(roomData);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  // Recognised amenities are stored under their catalog label
+  const { keys, labels } = await normalizeAmenities(roomData.amenities, connection);
+
+  return { roomData: { ...roomData, amenities: labels }, amenityKeys: keys };
+}
+
+// Create room posting
+router.post('/', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    console.log('Creating room posting for uid:', uid);
+    console.log('Room data received:', req.body);
+
+    connection = await pool.getConnection();
+
+    const { subscription, error: postingError } = await checkCanCreatePosts(connection, uid);
+    if (postingError) {
+      return res.status(403).json({ error: postingError });
     }
-    if (!roomData.title) {
-      return res.status(400).json({ error: 'Title is required' });
+
+    // Validate required fields
+    const prepared = await prepareNewRoomData(connection, req.body);
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
     }
-    if (!roomData.description) {
-      return res.status(400).json({ error: 'Description is required' });
+    const { amenityKeys } = prepared;
+    let { roomData } = prepared;
+
+    // Managed images replace client-supplied image URLs
+    const { managed, error: imageError } = await resolveManagedImages(connection, uid, roomData);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
     }
-    if (!roomData.location) {
-      return res.status(400).json({ error: 'Location is required' });
+    if (managed) {
+      roomData = { ...roomData, images: imageUrls(managed.images, managed.coverId) };
     }
-    if (!roomData.roomType) {
-      return res.status(400).json({ error: 'Room type is required' });
+
+    // Reposts of the landlord's own listing are rejected; other lookalikes are flagged
+    const { reject, flags } = await checkForDuplicates(connection, uid, roomData);
+    if (reject) {
+      console.log(`Duplicate posting rejected: uid=${uid}, duplicateOf=${reject.roomId}, score=${reject.score}`);
+      return res.status(409).json({
+        error: 'This looks like a duplicate of one of your existing postings. Edit that posting instead.',
+        duplicateOf: reject,
+      });
     }
 
+    // Postings go live immediately unless saved as a draft
+    const status = roomData.status === 'draft' ? 'draft' : 'active';
+
     // Prepare data with proper types
     const insertData = {
       uid: uid,
       subscriptionId: subscription.id,
-      title: roomData.title || '',
-      description: roomData.description || '',
-      price: roomData.isFree ? null : (roomData.price || null),
-      location: roomData.location || '',
-      address: roomData.address || '',
-      roomType: roomData.roomType || '',
-      dimension: roomData.dimension || null,
-      // FIX: Use safeParseInt for optional integer fields
-      bedroom: safeParseInt(roomData.bedroom),
-      bathroom: safeParseInt(roomData.bathroom),
-      floor: safeParseInt(roomData.floor),
-      // Ensure amenities and images are stringified JSON arrays for MySQL
-      amenities: JSON.stringify(roomData.amenities || []),
-      images: JSON.stringify(roomData.images || []),
-      isFree: roomData.isFree ? 1 : 0,
-      status: 'active',
+      ...buildRoomFields(roomData),
+      status: status,
     };
 
     console.log('Insert data:', insertData);
 
+    await connection.beginTransaction();
     const [result] = await connection.query(
       `INSERT INTO room_postings SET ?, createdAt = NOW(), updatedAt = NOW()`,
       [insertData]
     );
+    if (managed) {
+      const { error: attachError } = await attachRoomImages(connection, result.insertId, managed.images, managed.coverId);
+      if (attachError) {
+        await connection.rollback();
+        return res.status(409).json({ error: attachError });
+      }
+    }
+    await syncRoomAmenities(connection, result.insertId, amenityKeys);
+    await recordPriceChange(connection, result.insertId, insertData, uid);
+    if (flags.length > 0) {
+      await connection.query(
+        'INSERT INTO listing_duplicate_flags (roomId, duplicateOfRoomId, score, reasons) VALUES ?',
+        [flags.map(flag => [result.insertId, flag.duplicateOfRoomId, flag.score, JSON.stringify(flag.reasons)])]
+      );
+    }
+    await connection.commit();
+
+    console.log(`Room posting created: id=${result.insertId}, uid=${uid}, subscriptionId=${subscription.id}, duplicateFlags=${flags.length}`);
 
-    console.log(`Room posting created: id=${result.insertId}, uid=${uid}, subscriptionId=${subscription.id}`);
+    // Alert renters whose saved searches match; runs after the response
+    if (status === 'active') {
+      notifySavedSearchMatches({ id: result.insertId, ...insertData });
+    }
 
     res.status(201).json({
       success: true,
       message: 'Room posting created successfully',
       roomId: result.insertId,
+      status: status,
       subscription: {
         planType: subscription.planType,
         expiresAt: subscription.expiresAt,
@@ -171,12 +439,156 @@ router.post('/', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Create room error:', error);
+    if (connection) await connection.rollback().catch(() => {});
     res.status(500).json({ error: error.message || 'Failed to create room posting' });
   } finally {
     if (connection) connection.release();
   }
 });
 
+// CSV uploads for bulk import are small text files kept in memory
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+// Run multer and turn its errors into 400/413 responses
+function uploadCsvFile(req, res, next) {
+  csvUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'CSV file is too large. Maximum size is 1 MB' });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: 'Upload a single CSV file in the "file" field' });
+    }
+    next(error);
+  });
+}
+
+// Bulk-create postings from a CSV (multipart field "file", or JSON { csv }).
+// Every row is checked with the same rules as single creation, and nothing
+// is created unless all rows pass.
+router.post('/import', authenticate, uploadCsvFile, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Upload a CSV file in the "file" field' });
+    }
+
+    const { records, error: csvError } = parseRoomCsv(text);
+    if (csvError) {
+      return res.status(400).json({ error: csvError });
+    }
+
+    console.log(`Importing ${records.length} room postings for uid: ${uid}`);
+
+    connection = await pool.getConnection();
+
+    const { subscription, error: postingError } = await checkCanCreatePosts(connection, uid);
+    if (postingError) {
+      return res.status(403).json({ error: postingError });
+    }
+
+    if (subscription.planType === 'per_post' && records.length > 1) {
+      return res.status(403).json({
+        error: 'Your single-post plan allows one posting. Subscribe to a monthly plan to import several postings.',
+      });
+    }
+
+    // Validate every row before creating anything
+    const valid = [];
+    const errors = [];
+
+    for (const { row, data } of records) {
+      if (data.status !== undefined && !IMPORT_STATUSES.includes(data.status)) {
+        errors.push({ row, error: `status must be one of: ${IMPORT_STATUSES.join(', ')}` });
+        continue;
+      }
+
+      const { roomData, amenityKeys, error } = await prepareNewRoomData(connection, data);
+      if (error) {
+        errors.push({ row, error });
+        continue;
+      }
+
+      const { reject, flags } = await checkForDuplicates(connection, uid, roomData);
+      if (reject) {
+        errors.push({ row, error: `Duplicate of your existing posting #${reject.roomId} "${reject.title}"` });
+        continue;
+      }
+
+      // Rows repeated within the file are reposts too
+      const earlier = findRepostIndex(roomData, valid.map(entry => entry.roomData));
+      if (earlier !== -1) {
+        errors.push({ row, error: `Duplicate of row ${valid[earlier].row} in this file` });
+        continue;
+      }
+
+      valid.push({ row, roomData, amenityKeys, flags });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `${errors.length} of ${records.length} rows are invalid. Nothing was imported.`,
+        errors: errors,
+      });
+    }
+
+    const created = [];
+
+    await connection.beginTransaction();
+    for (const { roomData, amenityKeys, flags } of valid) {
+      const insertData = {
+        uid: uid,
+        subscriptionId: subscription.id,
+        ...buildRoomFields(roomData),
+        status: roomData.status === 'draft' ? 'draft' : 'active',
+      };
+
+      const [result] = await connection.query(
+        'INSERT INTO room_postings SET ?, createdAt = NOW(), updatedAt = NOW()',
+        [insertData]
+      );
+      await syncRoomAmenities(connection, result.insertId, amenityKeys);
+      await recordPriceChange(connection, result.insertId, insertData, uid);
+      if (flags.length > 0) {
+        await connection.query(
+          'INSERT INTO listing_duplicate_flags (roomId, duplicateOfRoomId, score, reasons) VALUES ?',
+          [flags.map(flag => [result.insertId, flag.duplicateOfRoomId, flag.score, JSON.stringify(flag.reasons)])]
+        );
+      }
+
+      created.push({ id: result.insertId, ...insertData });
+    }
+    await connection.commit();
+
+    console.log(`Imported ${created.length} room postings for uid: ${uid}`);
+
+    created
+      .filter(room => room.status === 'active')
+      .forEach(room => notifySavedSearchMatches(room));
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} room postings`,
+      count: created.length,
+      roomIds: created.map(room => room.id),
+    });
+  } catch (error) {
+    console.error('Import rooms error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to import room postings' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // Get user's room postings (authenticated - own posts only)
 router.get('/user/:uid', authenticate, async (req, res) => {
   let connection;
@@ -188,13 +600,30 @@ router.get('/user/:uid', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: Cannot access other user\'s posts' });
     }
 
+    const { status } = req.query;
+
     console.log('Getting authenticated room postings for uid:', uid);
 
+    if (status && !ROOM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${ROOM_STATUSES.join(', ')}` });
+    }
+
     connection = await pool.getConnection();
-    const [rows] = await connection.query(
-      'SELECT * FROM room_postings WHERE uid = ? ORDER BY createdAt DESC',
-      [uid]
-    );
+
+    // Bring lapsed postings up to date so owners see their real state
+    await expireLapsedPostings(connection, uid);
+
+    let query = 'SELECT * FROM room_postings WHERE uid = ?';
+    const params = [uid];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY createdAt DESC';
+
+    const [rows] = await connection.query(query, params);
 
     console.log('Found', rows.length, 'room postings for uid:', uid);
 
@@ -203,6 +632,7 @@ router.get('/user/:uid', authenticate, async (req, res) => {
       ...room,
       amenities: parseJsonField(room.amenities),
       images: parseJsonField(room.images),
+      ...formatLeaseTerms(room),
     }));
 
     res.status(200).json({
@@ -217,32 +647,76 @@ router.get('/user/:uid', authenticate, async (req, res) => {
   }
 });
 
-// Get user's room postings (public - no authentication required)
-router.get('/user/:uid/public', async (req, res) => {
+// Export the user's room postings as CSV, in the import format (own posts only)
+router.get('/user/:uid/export', authenticate, async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
 
-    console.log('Getting public room postings for uid:', uid);
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot export other user\'s posts' });
+    }
 
     connection = await pool.getConnection();
+
+    await expireLapsedPostings(connection, uid);
+
     const [rows] = await connection.query(
-      'SELECT * FROM room_postings WHERE uid = ? AND status = "active" ORDER BY createdAt DESC',
+      'SELECT * FROM room_postings WHERE uid = ? ORDER BY createdAt DESC',
       [uid]
     );
 
-    console.log('Found', rows.length, 'room postings for uid:', uid);
+    console.log('Exporting', rows.length, 'room postings for uid:', uid);
 
-    // Parse JSON fields with error handling
-    const rooms = rows.map(room => ({
-      ...room,
-      amenities: parseJsonField(room.amenities),
-      images: parseJsonField(room.images),
-    }));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="room-postings.csv"');
+    res.status(200).send(roomsToCsv(rows));
+  } catch (error) {
+    console.error('Export rooms error:', error);
+    res.status(500).json({ error: error.message || 'Failed to export room postings' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Get user's room postings (public - no authentication required)
+router.get('/user/:uid/public', optionalAuthenticate, async (req, res) => {
+  let connection;
+  try {
+    const { uid } = req.params;
+    const viewerUid = req.user ? req.user.uid : null;
+
+    console.log('Getting public room postings for uid:', uid);
+
+    const { options: browseOptions, error } = parseBrowseOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    connection = await pool.getConnection();
+    const { options, pricing } = await withViewerCurrency(connection, browseOptions, viewerUid);
+    const page = await fetchRoomPage(
+      connection,
+      options,
+      buildRoomFilters(options, ['r.uid = ?'], [uid]),
+      viewerUid
+    );
+
+    console.log('Found', page.rows.length, 'of', page.total, 'room postings for uid:', uid);
+
+    // Count impressions, except the owner looking at their own listings
+    if (viewerUid !== uid) {
+      recordRoomEvents(page.rows.map(room => room.id), 'impression', viewerKeyFor(req));
+    }
 
     res.status(200).json({
       success: true,
-      rooms: rooms,
+      rooms: page.rows.map(room => formatBrowseRoom(room, options, viewerUid, pricing)),
+      count: page.rows.length,
+      total: page.total,
+      currency: pricing.currency,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
     console.error('Get public user rooms error:', error);
@@ -252,89 +726,39 @@ router.get('/user/:uid/public', async (req, res) => {
   }
 });
 
-// Get all room postings (for browsing) - UPDATED TO INCLUDE OWNER INFO AND RATINGS
-router.get('/', async (req, res) => {
+// Get all room postings (for browsing) with owner info and ratings.
+// Paginate with `cursor` (the previous response's nextCursor) and `limit`.
+router.get('/', optionalAuthenticate, async (req, res) => {
   let connection;
   try {
-    const { location, roomType, minPrice, maxPrice, limit = 50, offset = 0 } = req.query;
+    // Signed-in viewers get their favorites flagged
+    const viewerUid = req.user ? req.user.uid : null;
 
-    connection = await pool.getConnection();
-    
-    // JOIN with users table AND reviews table to include owner information and ratings
-    let query = `SELECT 
-      r.id,
-      r.uid,
-      r.subscriptionId,
-      r.title,
-      r.description,
-      r.price,
-      r.location,
-      r.address,
-      r.roomType,
-      r.dimension,
-      r.bedroom,
-      r.bathroom,
-      r.floor,
-      r.amenities,
-      r.images,
-      r.isFree,
-      r.status,
-      r.createdAt,
-      r.updatedAt,
-      u.firstName as ownerFirstName,
-      u.lastName as ownerLastName,
-      u.imageUrl as ownerImageUrl,
-      COALESCE(AVG(rev.rating), 0) as ownerRating
-    FROM room_postings r
-    LEFT JOIN users u ON r.uid = u.uid
-    LEFT JOIN reviews rev ON rev.landlordUid = u.uid
-    WHERE r.status = "active"`;
-    const params = [];
-
-    if (location) {
-      query += ' AND r.location = ?';
-      params.push(location);
-    }
-
-    if (roomType) {
-      query += ' AND r.roomType = ?';
-      params.push(roomType);
-    }
-
-    if (minPrice) {
-      query += ' AND (r.price >= ? OR r.isFree = 1)';
-      params.push(parseFloat(minPrice));
-    }
-
-    if (maxPrice) {
-      query += ' AND (r.price <= ? OR r.isFree = 1)';
-      params.push(parseFloat(maxPrice));
-    }
-
-    // Important: GROUP BY all selected fields to properly aggregate ratings
-    query += ` GROUP BY r.id, r.uid, r.subscriptionId, r.title, r.description, r.price, 
-               r.location, r.address, r.roomType, r.dimension, r.bedroom, r.bathroom, 
-               r.floor, r.amenities, r.images, r.isFree, r.status, r.createdAt, r.updatedAt,
-               u.firstName, u.lastName, u.imageUrl`;
-    
-    query += ' ORDER BY r.createdAt DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+    const { options: browseOptions, error } = parseBrowseOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const [rows] = await connection.query(query, params);
+    connection = await pool.getConnection();
+    const { options, pricing } = await withViewerCurrency(connection, browseOptions, viewerUid);
+    const page = await fetchRoomPage(connection, options, buildRoomFilters(options), viewerUid);
 
-    // Parse JSON fields with error handling
-    const rooms = rows.map(room => ({
-      ...room,
-      amenities: parseJsonField(room.amenities),
-      images: parseJsonField(room.images),
-    }));
+    console.log(`Found ${page.rows.length} of ${page.total} rooms with owner info and ratings`);
 
-    console.log(`Found ${rooms.length} rooms with owner info and ratings`);
+    recordRoomEvents(
+      page.rows.filter(room => room.uid !== viewerUid).map(room => room.id),
+      'impression',
+      viewerKeyFor(req)
+    );
 
     res.status(200).json({
       success: true,
-      rooms: rooms,
-      count: rooms.length,
+      rooms: page.rows.map(room => formatBrowseRoom(room, options, viewerUid, pricing)),
+      count: page.rows.length,
+      total: page.total,
+      currency: pricing.currency,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
     });
   } catch (error) {
     console.error('Get rooms error:', error);
@@ -344,7 +768,63 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:roomId', async (req, res) => {
+// "Rooms for you": public rooms ranked against the renter's roommate
+// preferences (budget, location, room type) and landlord ratings.
+// Dismissed rooms and the renter's own postings are left out.
+const DEFAULT_FEED_SIZE = 20;
+const MAX_FEED_SIZE = 50;
+
+router.get('/for-you', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_FEED_SIZE, 1), MAX_FEED_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    connection = await pool.getConnection();
+
+    const [preferenceRows] = await connection.query(
+      `SELECT location, locationId, minBudget, maxBudget, budgetCurrency, preferredRoomTypes
+       FROM roomie_matches WHERE uid = ?`,
+      [uid]
+    );
+
+    if (preferenceRows.length === 0) {
+      return res.status(404).json({ error: 'Set up your roommate preferences to get room recommendations' });
+    }
+
+    const { options, pricing } = await withViewerCurrency(connection, { currency: req.query.currency }, uid);
+    const { byId } = await loadLocations(connection);
+    const candidates = await loadFeedCandidates(connection, uid);
+    const ranked = rankRooms(candidates, preferenceRows[0], { rates: pricing.rates, byId });
+    const page = ranked.slice(offset, offset + limit);
+
+    console.log(`Feed for ${uid}: ${page.length} of ${ranked.length} rooms`);
+
+    recordRoomEvents(page.map(entry => entry.room.id), 'impression', viewerKeyFor(req));
+
+    res.status(200).json({
+      success: true,
+      rooms: page.map(entry => ({
+        ...formatBrowseRoom(entry.room, options, uid, pricing),
+        score: entry.score,
+        scoreBreakdown: entry.scoreBreakdown,
+        reasons: entry.reasons,
+      })),
+      count: page.length,
+      total: ranked.length,
+      currency: pricing.currency,
+      hasMore: offset + limit < ranked.length,
+    });
+  } catch (error) {
+    console.error('Get room feed error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get recommended rooms' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+router.get('/:roomId', optionalAuthenticate, async (req, res) => {
   let connection;
   try {
     const { roomId } = req.params;
@@ -352,6 +832,15 @@ router.get('/:roomId', async (req, res) => {
     console.log('Getting room by id:', roomId);
 
     connection = await pool.getConnection();
+
+    const { currency, error: currencyError } = await resolveViewerCurrency(
+      connection,
+      req.query.currency,
+      req.user ? req.user.uid : null
+    );
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
     
     // Join with users table to get owner info and calculate average rating
     const [rows] = await connection.query(
@@ -361,7 +850,9 @@ router.get('/:roomId', async (req, res) => {
         r.title,
         r.description,
         r.price,
+        r.priceCurrency,
         r.location,
+        r.locationId,
         r.address,
         r.roomType,
         r.dimension,
@@ -371,7 +862,14 @@ router.get('/:roomId', async (req, res) => {
         r.amenities,
         r.images,
         r.isFree,
+        r.availableFrom,
+        r.minLeaseMonths,
+        r.deposit,
+        r.utilitiesIncluded,
+        r.utilitiesCost,
         r.status,
+        r.latitude,
+        r.longitude,
         r.createdAt,
         r.updatedAt,
         u.firstName as ownerFirstName,
@@ -381,10 +879,11 @@ router.get('/:roomId', async (req, res) => {
       FROM room_postings r
       LEFT JOIN users u ON r.uid = u.uid
       LEFT JOIN reviews rev ON rev.landlordUid = u.uid
-      WHERE r.id = ? AND r.status = "active"
-      GROUP BY r.id, r.uid, r.title, r.description, r.price, r.location, r.address, 
+      WHERE r.id = ? AND ${PUBLIC_ROOM_CONDITION}
+      GROUP BY r.id, r.uid, r.title, r.description, r.price, r.priceCurrency, r.location, r.locationId, r.address, 
                r.roomType, r.dimension, r.bedroom, r.bathroom, r.floor, r.amenities, 
-               r.images, r.isFree, r.status, r.createdAt, r.updatedAt,
+               r.images, r.isFree, r.availableFrom, r.minLeaseMonths, r.deposit,
+               r.utilitiesIncluded, r.utilitiesCost, r.status, r.latitude, r.longitude, r.createdAt, r.updatedAt,
                u.firstName, u.lastName, u.imageUrl`,
       [roomId]
     );
@@ -408,6 +907,17 @@ router.get('/:roomId', async (req, res) => {
       ...room,
       amenities: parseJsonField(room.amenities),
       images: parseJsonField(room.images),
+      ...formatLeaseTerms(room),
+      // City > khan > sangkat for the linked location
+      locationPath: room.locationId ? locationPath((await loadLocations(connection)).byId, room.locationId) : [],
+      // Every price the posting has had, oldest first
+      priceHistory: await getPriceHistory(connection, room.id),
+      // Price in the viewer's currency
+      displayPrice: displayPrice(room, { currency, rates: await loadExchangeRates(connection) }),
+      // Catalog entries (key, label, icon) for recognised amenities
+      amenityDetails: await getRoomAmenityDetails(connection, room.id),
+      // Managed uploads with thumbnails; empty for postings using plain URLs
+      photos: await getRoomPhotos(connection, room.id),
     };
     
     console.log('=== PARSED ROOM DATA ===');
@@ -416,6 +926,11 @@ router.get('/:roomId', async (req, res) => {
     console.log('Owner rating:', roomData.ownerRating);
     console.log('========================');
 
+    // Owners previewing their own listing don't count as views
+    if (!req.user || req.user.uid !== room.uid) {
+      recordRoomEvents([room.id], 'view', viewerKeyFor(req));
+    }
+
     res.status(200).json({
       success: true,
       room: roomData,
@@ -428,6 +943,390 @@ router.get('/:roomId', async (req, res) => {
   }
 });
 
+// Get change history for a public room posting, or any of the owner's own
+router.get('/:roomId/revisions', optionalAuthenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const viewerUid = req.user ? req.user.uid : null;
+
+    connection = await pool.getConnection();
+
+    // Hidden, draft and otherwise non-public postings are visible to their owner only
+    const [roomRows] = await connection.query(
+      `SELECT r.id FROM room_postings r WHERE r.id = ? AND (r.uid = ? OR (${PUBLIC_ROOM_CONDITION}))`,
+      [roomId, viewerUid]
+    );
+
+    if (roomRows.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    const [rows] = await connection.query(
+      `SELECT id, roomId, uid, changes, createdAt
+       FROM room_posting_revisions
+       WHERE roomId = ?
+       ORDER BY createdAt DESC, id DESC`,
+      [roomId]
+    );
+
+    const revisions = rows.map(revision => ({
+      ...revision,
+      changes: parseJsonField(revision.changes, {}),
+    }));
+
+    res.status(200).json({
+      success: true,
+      revisions: revisions,
+    });
+  } catch (error) {
+    console.error('Get room revisions error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get room revisions' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Update room posting. PUT replaces all editable fields, PATCH only the ones sent.
+async function updateRoom(req, res) {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+    const isPartial = req.method === 'PATCH';
+
+    connection = await pool.getConnection();
+
+    // Verify ownership
+    const [rows] = await connection.query(
+      'SELECT * FROM room_postings WHERE id = ?',
+      [roomId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    const existing = rows[0];
+
+    if (existing.uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot edit other user\'s post' });
+    }
+
+    let roomData = isPartial
+      ? { ...roomRowToData(existing), ...req.body }
+      : req.body;
+
+    // New free text replaces the stored locationId unless one is sent too
+    const { error: locationError, ...locationFields } = await resolveLocationInput(connection, {
+      locationId: req.body.location !== undefined && req.body.locationId === undefined ? null : roomData.locationId,
+      location: roomData.location,
+    });
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+    roomData = { ...roomData, ...locationFields };
+
+    const validationError = validateRoomData(roomData);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { managed, error: imageError } = await resolveManagedImages(connection, uid, req.body, existing.id);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+    if (managed) {
+      roomData = { ...roomData, images: imageUrls(managed.images, managed.coverId) };
+    }
+
+    const { keys: amenityKeys, labels: amenityLabels } = await normalizeAmenities(roomData.amenities, connection);
+    roomData = { ...roomData, amenities: amenityLabels };
+
+    const fields = buildRoomFields(roomData);
+    const changes = diffRoomFields(existing, fields);
+
+    if (Object.keys(changes).length === 0 && !managed) {
+      return res.status(200).json({
+        success: true,
+        message: 'No changes to save',
+        changes: {},
+      });
+    }
+
+    const updateData = {};
+    Object.keys(changes).forEach(field => {
+      updateData[field] = fields[field];
+    });
+    if (changes.amenities) {
+      updateData.amenitiesText = fields.amenitiesText;
+    }
+
+    await connection.beginTransaction();
+    if (Object.keys(changes).length > 0) {
+      await connection.query(
+        'UPDATE room_postings SET ?, updatedAt = NOW() WHERE id = ?',
+        [updateData, roomId]
+      );
+      await recordRoomRevision(connection, roomId, uid, changes);
+    }
+    // Always re-link, so legacy postings join the catalog on their next edit
+    await syncRoomAmenities(connection, existing.id, amenityKeys);
+    const priceChanged = Boolean(changes.price || changes.priceCurrency || changes.isFree);
+    if (priceChanged) {
+      await recordPriceChange(connection, existing.id, fields, uid);
+    }
+    if (managed) {
+      // Also applies reordering that leaves the image URL list unchanged
+      const { error: attachError } = await attachRoomImages(connection, existing.id, managed.images, managed.coverId);
+      if (attachError) {
+        await connection.rollback();
+        return res.status(409).json({ error: attachError });
+      }
+    }
+    await connection.commit();
+
+    console.log(`Room posting updated: id=${roomId}, uid=${uid}, fields=${Object.keys(changes).join(',')}`);
+
+    // Alert favoriters and matching saved searches; runs after the response
+    if (priceChanged && existing.status === 'active' && existing.moderationStatus === 'visible') {
+      notifyPriceDrop({ ...existing, ...fields }, existing);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Room posting updated successfully',
+      changes: changes,
+    });
+  } catch (error) {
+    console.error('Update room error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to update room posting' });
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+router.put('/:roomId', authenticate, updateRoom);
+router.patch('/:roomId', authenticate, updateRoom);
+
+// Change room posting status (draft, active, paused, rented)
+router.patch('/:roomId/status', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const { status } = req.body;
+    const uid = req.user.uid;
+
+    if (!status || !ROOM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${ROOM_STATUSES.join(', ')}` });
+    }
+
+    connection = await pool.getConnection();
+
+    // Verify ownership
+    const [rows] = await connection.query(
+      'SELECT * FROM room_postings WHERE id = ?',
+      [roomId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    const room = rows[0];
+
+    if (room.uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot change other user\'s post' });
+    }
+
+    // The posting may have lapsed since it was last read
+    if (await expireLapsedPostings(connection, uid)) {
+      const [[current]] = await connection.query('SELECT status FROM room_postings WHERE id = ?', [roomId]);
+      room.status = current.status;
+    }
+
+    if (room.status === status) {
+      return res.status(200).json({
+        success: true,
+        message: `Room posting is already ${status}`,
+        status: status,
+      });
+    }
+
+    if (!canTransition(room.status, status)) {
+      return res.status(409).json({
+        error: `Cannot change status from ${room.status} to ${status}`,
+      });
+    }
+
+    const updateData = { status: status };
+
+    // Publishing needs a live subscription; relink the posting if its own has lapsed
+    if (status === 'active') {
+      const { subscription, reason } = await findUsableSubscription(connection, uid, room.id);
+
+      if (reason) {
+        return res.status(403).json({ error: SUBSCRIPTION_ERRORS[reason] });
+      }
+
+      if (subscription.id !== room.subscriptionId) {
+        updateData.subscriptionId = subscription.id;
+      }
+    }
+
+    await connection.beginTransaction();
+    await connection.query(
+      'UPDATE room_postings SET ?, statusChangedAt = NOW(), updatedAt = NOW() WHERE id = ?',
+      [updateData, roomId]
+    );
+    await recordRoomRevision(connection, roomId, uid, {
+      status: { from: room.status, to: status },
+    });
+    await connection.commit();
+
+    console.log(`Room posting status changed: id=${roomId}, ${room.status} -> ${status}`);
+
+    // A published draft is new to renters, so saved searches hear about it
+    if (room.status === 'draft' && status === 'active') {
+      notifySavedSearchMatches(room);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Room posting is now ${status}`,
+      status: status,
+    });
+  } catch (error) {
+    console.error('Change room status error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to change room status' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Report a listing (scam, misleading, ...) to the moderation queue
+router.post('/:roomId/report', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const { reason, details } = req.body;
+    const uid = req.user.uid;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason. Must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+
+    const detailsText = details ? String(details).trim() : '';
+    if (reason === 'other' && !detailsText) {
+      return res.status(400).json({ error: 'Details are required when the reason is other' });
+    }
+    if (detailsText.length > MAX_REPORT_DETAILS_LENGTH) {
+      return res.status(400).json({ error: `Details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      `SELECT r.id, r.uid FROM room_postings r WHERE r.id = ? AND ${PUBLIC_ROOM_CONDITION}`,
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (rooms[0].uid === uid) {
+      return res.status(400).json({ error: 'You cannot report your own posting' });
+    }
+
+    await connection.beginTransaction();
+    const [result] = await connection.query(
+      `INSERT IGNORE INTO room_reports (roomId, reporterUid, reason, details, status, createdAt)
+       VALUES (?, ?, ?, ?, 'open', NOW())`,
+      [roomId, uid, reason, detailsText || null]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'You have already reported this posting' });
+    }
+
+    const hidden = await autoHideIfReported(connection, rooms[0].id);
+    await connection.commit();
+
+    console.log(`Room reported: id=${roomId}, reporter=${uid}, reason=${reason}, autoHidden=${hidden}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, our team will review this posting',
+      reportId: result.insertId,
+    });
+  } catch (error) {
+    console.error('Report room error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to report room posting' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Hide a room from the renter's "Rooms for you" feed
+router.post('/:roomId/dismiss', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query('SELECT id FROM room_postings WHERE id = ?', [roomId]);
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    await connection.query(
+      'INSERT IGNORE INTO room_dismissals (uid, roomId, createdAt) VALUES (?, ?, NOW())',
+      [uid, roomId]
+    );
+
+    res.status(200).json({ success: true, message: 'Room dismissed from your feed' });
+  } catch (error) {
+    console.error('Dismiss room error:', error);
+    res.status(500).json({ error: error.message || 'Failed to dismiss room' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Undo a dismissal so the room can show up in the feed again
+router.delete('/:roomId/dismiss', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [result] = await connection.query(
+      'DELETE FROM room_dismissals WHERE uid = ? AND roomId = ?',
+      [uid, roomId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Room was not dismissed' });
+    }
+
+    res.status(200).json({ success: true, message: 'Room restored to your feed' });
+  } catch (error) {
+    console.error('Undismiss room error:', error);
+    res.status(500).json({ error: error.message || 'Failed to restore room' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // Delete room posting
 router.delete('/:roomId', authenticate, async (req, res) => {
   let connection;
@@ -451,8 +1350,18 @@ router.delete('/:roomId', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: Cannot delete other user\'s post' });
     }
 
+    const [images] = await connection.query('SELECT * FROM room_images WHERE roomId = ?', [roomId]);
+
     // Delete the posting
     await connection.query('DELETE FROM room_postings WHERE id = ?', [roomId]);
+    await connection.query('DELETE FROM room_images WHERE roomId = ?', [roomId]);
+
+    // Stored files go last; a failure here only leaves orphaned files
+    for (const image of images) {
+      await removeImageFiles(image).catch(error => {
+        console.error(`Failed to remove files for image ${image.id}:`, error.message);
+      });
+    }
 
     console.log(`Room posting deleted: id=${roomId}, uid=${uid}`);
 
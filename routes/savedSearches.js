@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate } = require('../middleware/authMiddleware');
+const { parseAmenities } = require('../utils/amenities');
+const { SUPPORTED_CURRENCIES, parseCurrency } = require('../utils/currency');
+const { resolveLocationInput } = require('../utils/locations');
+
+const MAX_SAVED_SEARCHES = 20;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Validate saved search input and map it onto saved_searches columns.
+ * Returns { data } or { error }. With `partial`, missing fields are left out.
+ */
+function buildSavedSearch(body, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => !partial || body[key] !== undefined;
+
+  if (has('name')) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: 'Name is required' };
+    }
+    data.name = String(body.name).trim().substring(0, 100);
+  }
+
+  if (has('location')) data.location = isBlank(body.location) ? null : body.location;
+  if (has('roomType')) data.roomType = isBlank(body.roomType) ? null : body.roomType;
+
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (!has(key)) continue;
+    if (isBlank(body[key])) {
+      data[key] = null;
+      continue;
+    }
+    const value = parseFloat(body[key]);
+    if (isNaN(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    data[key] = value;
+  }
+
+  // Currency of minPrice and maxPrice
+  if (has('priceCurrency')) {
+    data.priceCurrency = parseCurrency(body.priceCurrency || 'USD');
+    if (!data.priceCurrency) {
+      return { error: `priceCurrency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+    }
+  }
+
+  if (data.minPrice != null && data.maxPrice != null && data.minPrice > data.maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  if (has('amenities')) {
+    data.amenities = JSON.stringify(parseAmenities(body.amenities || []));
+  }
+
+  if (body.isPaused !== undefined) {
+    data.isPaused = body.isPaused ? 1 : 0;
+  }
+
+  return { data };
+}
+
+/**
+ * Link a saved search's area to the location hierarchy when `location` or
+ * `locationId` is sent. New free text replaces the stored id unless an id
+ * is sent too. Returns { error } or {} after updating `data`.
+ */
+async function applySavedSearchLocation(connection, data, body) {
+  if (body.location === undefined && body.locationId === undefined) {
+    return {};
+  }
+
+  const resolved = await resolveLocationInput(connection, {
+    locationId: body.locationId,
+    location: data.location,
+  });
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  data.locationId = resolved.locationId;
+  if (resolved.location !== undefined) {
+    data.location = resolved.location || null;
+  }
+  return {};
+}
+
+function formatSavedSearch(search) {
+  return {
+    ...search,
+    minPrice: search.minPrice === null ? null : parseFloat(search.minPrice),
+    maxPrice: search.maxPrice === null ? null : parseFloat(search.maxPrice),
+    amenities: parseAmenities(search.amenities),
+    isPaused: search.isPaused === 1,
+  };
+}
+
+// List the user's saved searches
+router.get('/', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+    const [rows] = await connection.query(
+      'SELECT * FROM saved_searches WHERE uid = ? ORDER BY createdAt DESC',
+      [uid]
+    );
+
+    res.status(200).json({
+      success: true,
+      savedSearches: rows.map(formatSavedSearch),
+    });
+  } catch (error) {
+    console.error('savedSearches/list: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get saved searches' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Save a named search
+router.post('/', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    const { data, error } = buildSavedSearch(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    connection = await pool.getConnection();
+
+    const { error: locationError } = await applySavedSearchLocation(connection, data, req.body);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    const [countRows] = await connection.query(
+      'SELECT COUNT(*) as searchCount FROM saved_searches WHERE uid = ?',
+      [uid]
+    );
+
+    if (countRows[0].searchCount >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const [result] = await connection.query(
+      'INSERT INTO saved_searches SET ?, uid = ?, createdAt = NOW(), updatedAt = NOW()',
+      [data, uid]
+    );
+
+    console.log(`savedSearches/create: id=${result.insertId}, uid=${uid}`);
+
+    const [rows] = await connection.query('SELECT * FROM saved_searches WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      savedSearch: formatSavedSearch(rows[0]),
+    });
+  } catch (error) {
+    console.error('savedSearches/create: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to save search' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Update a saved search, including pausing or resuming alerts with isPaused
+router.patch('/:id', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT * FROM saved_searches WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (rows[0].uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Merge so the price range is checked against the stored values too
+    const { data, error } = buildSavedSearch(
+      { ...formatSavedSearch(rows[0]), ...req.body },
+      { partial: true }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { error: locationError } = await applySavedSearchLocation(connection, data, req.body);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    await connection.query(
+      'UPDATE saved_searches SET ?, updatedAt = NOW() WHERE id = ?',
+      [data, id]
+    );
+
+    const [updated] = await connection.query('SELECT * FROM saved_searches WHERE id = ?', [id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch: formatSavedSearch(updated[0]),
+    });
+  } catch (error) {
+    console.error('savedSearches/update: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to update saved search' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT uid FROM saved_searches WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    if (rows[0].uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    await connection.query('DELETE FROM saved_searches WHERE id = ?', [id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted',
+    });
+  } catch (error) {
+    console.error('savedSearches/delete: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to delete saved search' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -3,16 +3,22 @@ const router = express.Router();
 const pool = require('../config/db');
 const { authenticate, authorizeUser } = require('../middleware/authMiddleware');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY); // Add your secret key
+const { LANDLORD_PLAN_TYPES, RENTER_PLAN_TYPES, findPlan } = require('../utils/subscriptionPlans');
 
-// Get Subscription Status
-router.get('/landlord/:uid/subscription', authenticate, authorizeUser, async (req, res) => {
+const PLAN_TYPES_BY_AUDIENCE = {
+  landlord: LANDLORD_PLAN_TYPES,
+  renter: RENTER_PLAN_TYPES,
+};
+
+// Get Subscription Status (latest subscription on the audience's plans)
+const getSubscription = (audience) => async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
     connection = await pool.getConnection();
     const [rows] = await connection.query(
-      'SELECT * FROM subscriptions WHERE uid = ? ORDER BY createdAt DESC LIMIT 1',
-      [uid]
+      'SELECT * FROM subscriptions WHERE uid = ? AND planType IN (?) ORDER BY createdAt DESC LIMIT 1',
+      [uid, PLAN_TYPES_BY_AUDIENCE[audience]]
     );
 
     if (rows.length === 0) {
@@ -41,7 +47,10 @@ router.get('/landlord/:uid/subscription', authenticate, authorizeUser, async (re
   } finally {
     if (connection) connection.release();
   }
-});
+};
+
+router.get('/landlord/:uid/subscription', authenticate, authorizeUser, getSubscription('landlord'));
+router.get('/renter/:uid/subscription', authenticate, authorizeUser, getSubscription('renter'));
 
 // Check if user can create a post
 router.get('/landlord/:uid/subscription/can-post', authenticate, authorizeUser, async (req, res) => {
@@ -52,8 +61,8 @@ router.get('/landlord/:uid/subscription/can-post', authenticate, authorizeUser,
     connection = await pool.getConnection();
     
     const [subscriptionRows] = await connection.query(
-      'SELECT * FROM subscriptions WHERE uid = ? AND status = "active" ORDER BY createdAt DESC LIMIT 1',
-      [uid]
+      'SELECT * FROM subscriptions WHERE uid = ? AND planType IN (?) AND status = "active" ORDER BY createdAt DESC LIMIT 1',
+      [uid, LANDLORD_PLAN_TYPES]
     );
 
     if (subscriptionRows.length === 0) {
@@ -85,7 +94,7 @@ router.get('/landlord/:uid/subscription/can-post', authenticate, authorizeUser,
 
     if (subscription.planType === 'per_post') {
       const [postRows] = await connection.query(
-        'SELECT COUNT(*) as postCount FROM room_postings WHERE uid = ? AND subscriptionId = ?',
+        "SELECT COUNT(*) as postCount FROM room_postings WHERE uid = ? AND subscriptionId = ? AND status <> 'draft'",
         [uid, subscription.id]
       );
 
@@ -120,32 +129,19 @@ router.get('/landlord/:uid/subscription/can-post', authenticate, authorizeUser,
 });
 
 // Create Payment Intent (Step 1 - Called before payment)
-router.post('/landlord/:uid/create-payment-intent', authenticate, authorizeUser, async (req, res) => {
+const createPaymentIntent = (audience) => async (req, res) => {
   try {
     const { uid } = req.params;
     const { planType } = req.body;
 
-    if (!planType || !['per_post', 'monthly', 'yearly'].includes(planType)) {
+    const plan = findPlan(planType, audience);
+    if (!plan) {
       return res.status(400).json({ error: 'Invalid plan type' });
     }
 
-    // Calculate amount based on plan
-    let amount;
-    switch (planType) {
-      case 'per_post':
-        amount = 200; // $2.00 in cents
-        break;
-      case 'monthly':
-        amount = 1000; // $10.00 in cents
-        break;
-      case 'yearly':
-        amount = 8000; // $80.00 in cents
-        break;
-    }
-
     // Create a PaymentIntent with Stripe
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount,
+      amount: plan.amount,
       currency: 'usd',
       metadata: {
         uid: uid,
@@ -165,16 +161,20 @@ router.post('/landlord/:uid/create-payment-intent', authenticate, authorizeUser,
     console.error('Create payment intent error:', error);
     res.status(500).json({ error: error.message || 'Failed to create payment intent' });
   }
-});
+};
+
+router.post('/landlord/:uid/create-payment-intent', authenticate, authorizeUser, createPaymentIntent('landlord'));
+router.post('/renter/:uid/create-payment-intent', authenticate, authorizeUser, createPaymentIntent('renter'));
 
 // Confirm Subscription (Step 2 - Called after successful payment)
-router.post('/landlord/:uid/subscription', authenticate, authorizeUser, async (req, res) => {
+const confirmSubscription = (audience) => async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
     const { planType, paymentIntentId } = req.body;
 
-    if (!planType || !['per_post', 'monthly', 'yearly'].includes(planType)) {
+    const plan = findPlan(planType, audience);
+    if (!plan) {
       return res.status(400).json({ error: 'Invalid plan type' });
     }
 
@@ -195,23 +195,8 @@ router.post('/landlord/:uid/subscription', authenticate, authorizeUser, async (r
     }
 
     // Calculate expiration
-    let amount, expiresAt;
-    const now = new Date();
-
-    switch (planType) {
-      case 'per_post':
-        amount = 2.00;
-        expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
-        break;
-      case 'monthly':
-        amount = 10.00;
-        expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days
-        break;
-      case 'yearly':
-        amount = 80.00;
-        expiresAt = new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000); // 365 days
-        break;
-    }
+    const amount = plan.amount / 100;
+    const expiresAt = new Date(Date.now() + plan.durationDays * 24 * 60 * 60 * 1000);
 
     // Get card details from payment method
     const paymentMethod = await stripe.paymentMethods.retrieve(paymentIntent.payment_method);
@@ -257,10 +242,13 @@ router.post('/landlord/:uid/subscription', authenticate, authorizeUser, async (r
   } finally {
     if (connection) connection.release();
   }
-});
+};
 
-// Cancel Subscription
-router.post('/landlord/:uid/subscription/cancel', authenticate, authorizeUser, async (req, res) => {
+router.post('/landlord/:uid/subscription', authenticate, authorizeUser, confirmSubscription('landlord'));
+router.post('/renter/:uid/subscription', authenticate, authorizeUser, confirmSubscription('renter'));
+
+// Cancel Subscription (only the audience's plans)
+const cancelSubscription = (audience) => async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
@@ -270,8 +258,8 @@ router.post('/landlord/:uid/subscription/cancel', authenticate, authorizeUser, a
     await connection.query(
       `UPDATE subscriptions 
        SET status = 'cancelled', updatedAt = NOW() 
-       WHERE uid = ? AND status = 'active'`,
-      [uid]
+       WHERE uid = ? AND planType IN (?) AND status = 'active'`,
+      [uid, PLAN_TYPES_BY_AUDIENCE[audience]]
     );
 
     res.status(200).json({
@@ -284,7 +272,10 @@ router.post('/landlord/:uid/subscription/cancel', authenticate, authorizeUser, a
   } finally {
     if (connection) connection.release();
   }
-});
+};
+
+router.post('/landlord/:uid/subscription/cancel', authenticate, authorizeUser, cancelSubscription('landlord'));
+router.post('/renter/:uid/subscription/cancel', authenticate, authorizeUser, cancelSubscription('renter'));
 
 // Get Payment History
 router.get('/landlord/:uid/payments', authenticate, authorizeUser, async (req, res) => {
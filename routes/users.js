@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { authenticate, authorizeUser } = require('../middleware/authMiddleware');
+const { SUPPORTED_CURRENCIES, parseCurrency } = require('../utils/currency');
 
 // Get Public User Profile (NO AUTHENTICATION REQUIRED)
 router.get('/:uid/public', async (req, res) => {
@@ -97,7 +98,7 @@ router.put('/:uid/profile', authenticate, authorizeUser, async (req, res) => {
   let connection;
   try {
     const { uid } = req.params;
-    const { firstName, lastName, imageUrl } = req.body;
+    const { firstName, lastName, imageUrl, preferredCurrency } = req.body;
 
     connection = await pool.getConnection();
     const [rows] = await connection.query('SELECT 1 FROM users WHERE uid = ?', [uid]);
@@ -108,6 +109,14 @@ router.put('/:uid/profile', authenticate, authorizeUser, async (req, res) => {
     if (firstName) { updateFields.push('firstName = ?'); values.push(firstName); }
     if (lastName) { updateFields.push('lastName = ?'); values.push(lastName); }
     if (imageUrl) { updateFields.push('imageUrl = ?'); values.push(imageUrl); }
+    if (preferredCurrency !== undefined) {
+      const currency = preferredCurrency === null ? null : parseCurrency(preferredCurrency);
+      if (preferredCurrency !== null && !currency) {
+        return res.status(400).json({ error: `preferredCurrency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+      }
+      updateFields.push('preferredCurrency = ?');
+      values.push(currency);
+    }
     if (updateFields.length > 0) {
       updateFields.push('updatedAt = NOW()');
       const query = `UPDATE users SET ${updateFields.join(', ')} WHERE uid = ?`;
@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticate } = require('../middleware/authMiddleware');
+const { PUBLIC_ROOM_CONDITION } = require('../utils/roomLifecycle');
+const { sendNotification, getDisplayName } = require('../utils/notifications');
+const { recordRoomEvents } = require('../utils/roomAnalytics');
+
+const MAX_SLOTS_PER_REQUEST = 50;
+const MAX_SLOT_MINUTES = 240;
+
+// Requests that still hold on to their slot
+const OPEN_REQUEST_STATUSES = ['requested', 'proposed', 'accepted'];
+
+/**
+ * Parse and validate a viewing time range.
+ * Returns { startsAt, endsAt } or { error }.
+ */
+function parseTimeRange(startsAtValue, endsAtValue) {
+  const startsAt = new Date(startsAtValue);
+  const endsAt = new Date(endsAtValue);
+
+  if (!startsAtValue || !endsAtValue || isNaN(startsAt) || isNaN(endsAt)) {
+    return { error: 'startsAt and endsAt must be valid dates' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+  if (startsAt <= new Date()) {
+    return { error: 'Viewings must be in the future' };
+  }
+  if ((endsAt - startsAt) / 60000 > MAX_SLOT_MINUTES) {
+    return { error: `A viewing can last at most ${MAX_SLOT_MINUTES} minutes` };
+  }
+  return { startsAt, endsAt };
+}
+
+const formatTime = (date) => new Date(date).toLocaleString('en-US', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: process.env.APP_TIMEZONE || 'Asia/Phnom_Penh',
+});
+
+// Notify the other party about a viewing request; never fails the request
+async function notifyViewing(connection, { recipientUid, senderUid, title, body, request }) {
+  try {
+    await sendNotification({
+      recipientUid,
+      senderUid,
+      title,
+      body,
+      data: {
+        type: 'viewing',
+        viewingRequestId: String(request.id),
+        roomId: String(request.roomId),
+        status: request.status,
+      },
+    }, connection);
+  } catch (error) {
+    console.error('viewings: Error sending notification:', error);
+  }
+}
+
+// True if another live slot of the room overlaps the range
+async function hasOverlappingSlot(connection, roomId, startsAt, endsAt, excludeSlotId = 0) {
+  const [rows] = await connection.query(
+    `SELECT id FROM viewing_slots
+     WHERE roomId = ? AND status <> 'cancelled' AND id <> ?
+       AND startsAt < ? AND endsAt > ?
+     LIMIT 1`,
+    [roomId, excludeSlotId, endsAt, startsAt]
+  );
+  return rows.length > 0;
+}
+
+// Publish available viewing slots for a room (owner only)
+router.post('/rooms/:roomId/slots', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+    const { slots } = req.body;
+    const uid = req.user.uid;
+
+    if (!Array.isArray(slots) || slots.length === 0) {
+      return res.status(400).json({ error: 'slots must be a non-empty array of { startsAt, endsAt }' });
+    }
+
+    if (slots.length > MAX_SLOTS_PER_REQUEST) {
+      return res.status(400).json({ error: `You can add at most ${MAX_SLOTS_PER_REQUEST} slots at once` });
+    }
+
+    const ranges = [];
+    for (const [index, slot] of slots.entries()) {
+      const range = parseTimeRange(slot && slot.startsAt, slot && slot.endsAt);
+      if (range.error) {
+        return res.status(400).json({ error: `Slot ${index + 1}: ${range.error}` });
+      }
+      ranges.push(range);
+    }
+
+    // Slots in the same request must not overlap each other
+    const sorted = [...ranges].sort((a, b) => a.startsAt - b.startsAt);
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].startsAt < sorted[i - 1].endsAt) {
+        return res.status(400).json({ error: 'Slots must not overlap' });
+      }
+    }
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query('SELECT uid FROM room_postings WHERE id = ?', [roomId]);
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room posting not found' });
+    }
+
+    if (rooms[0].uid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot add viewing slots to other user\'s post' });
+    }
+
+    for (const range of ranges) {
+      if (await hasOverlappingSlot(connection, roomId, range.startsAt, range.endsAt)) {
+        return res.status(409).json({
+          error: `A slot already exists around ${formatTime(range.startsAt)}`,
+        });
+      }
+    }
+
+    await connection.query(
+      'INSERT INTO viewing_slots (roomId, landlordUid, startsAt, endsAt, status, createdAt, updatedAt) VALUES ?',
+      [ranges.map(range => [roomId, uid, range.startsAt, range.endsAt, 'open', new Date(), new Date()])]
+    );
+
+    console.log(`viewings/slots: Added ${ranges.length} slots to room ${roomId}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${ranges.length} viewing slot(s) added`,
+      count: ranges.length,
+    });
+  } catch (error) {
+    console.error('viewings/slots: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to add viewing slots' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// List a room's upcoming open slots
+router.get('/rooms/:roomId/slots', async (req, res) => {
+  let connection;
+  try {
+    const { roomId } = req.params;
+
+    connection = await pool.getConnection();
+
+    const [rooms] = await connection.query(
+      `SELECT r.id FROM room_postings r WHERE r.id = ? AND ${PUBLIC_ROOM_CONDITION}`,
+      [roomId]
+    );
+
+    if (rooms.length === 0) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const [slots] = await connection.query(
+      `SELECT id, roomId, startsAt, endsAt, status
+       FROM viewing_slots
+       WHERE roomId = ? AND status = 'open' AND startsAt > NOW()
+       ORDER BY startsAt ASC`,
+      [roomId]
+    );
+
+    res.status(200).json({
+      success: true,
+      slots: slots,
+    });
+  } catch (error) {
+    console.error('viewings/list-slots: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get viewing slots' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Cancel a slot (owner only); open requests on it are cancelled too
+router.delete('/slots/:slotId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { slotId } = req.params;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [slots] = await connection.query('SELECT * FROM viewing_slots WHERE id = ?', [slotId]);
+
+    if (slots.length === 0 || slots[0].status === 'cancelled') {
+      return res.status(404).json({ error: 'Viewing slot not found' });
+    }
+
+    if (slots[0].landlordUid !== uid) {
+      return res.status(403).json({ error: 'Forbidden: Cannot cancel other user\'s viewing slot' });
+    }
+
+    const [requests] = await connection.query(
+      'SELECT * FROM viewing_requests WHERE slotId = ? AND status IN (?)',
+      [slotId, OPEN_REQUEST_STATUSES]
+    );
+
+    await connection.beginTransaction();
+    await connection.query(
+      'UPDATE viewing_slots SET status = "cancelled", updatedAt = NOW() WHERE id = ?',
+      [slotId]
+    );
+    await connection.query(
+      'UPDATE viewing_requests SET status = "cancelled", updatedAt = NOW() WHERE slotId = ? AND status IN (?)',
+      [slotId, OPEN_REQUEST_STATUSES]
+    );
+    await connection.commit();
+
+    for (const request of requests) {
+      await notifyViewing(connection, {
+        recipientUid: request.renterUid,
+        senderUid: uid,
+        title: 'Viewing cancelled',
+        body: `The viewing on ${formatTime(slots[0].startsAt)} was cancelled by the landlord.`,
+        request: { ...request, status: 'cancelled' },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing slot cancelled',
+      cancelledRequests: requests.length,
+    });
+  } catch (error) {
+    console.error('viewings/cancel-slot: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to cancel viewing slot' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Request a viewing slot (renter)
+router.post('/slots/:slotId/requests', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { slotId } = req.params;
+    const { message } = req.body;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the slot so two renters can't book it at the same time
+    const [slots] = await connection.query(
+      'SELECT * FROM viewing_slots WHERE id = ? FOR UPDATE',
+      [slotId]
+    );
+
+    if (slots.length === 0 || slots[0].status === 'cancelled') {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Viewing slot not found' });
+    }
+
+    const slot = slots[0];
+
+    if (slot.landlordUid === uid) {
+      await connection.rollback();
+      return res.status(400).json({ error: 'Cannot request a viewing of your own room' });
+    }
+
+    if (slot.status !== 'open' || new Date(slot.startsAt) <= new Date()) {
+      await connection.rollback();
+      return res.status(409).json({ error: 'This viewing slot is no longer available' });
+    }
+
+    const [existing] = await connection.query(
+      'SELECT id FROM viewing_requests WHERE slotId = ? AND renterUid = ? AND status IN (?)',
+      [slotId, uid, OPEN_REQUEST_STATUSES]
+    );
+
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'You have already requested this viewing slot',
+        requestId: existing[0].id,
+      });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO viewing_requests
+       (slotId, roomId, renterUid, landlordUid, status, message, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, 'requested', ?, NOW(), NOW())`,
+      [slotId, slot.roomId, uid, slot.landlordUid, message || null]
+    );
+    await connection.commit();
+
+    console.log(`viewings/request: id=${result.insertId}, slot=${slotId}, renter=${uid}`);
+    recordRoomEvents([slot.roomId], 'inquiry');
+
+    const renterName = await getDisplayName(connection, uid);
+    await notifyViewing(connection, {
+      recipientUid: slot.landlordUid,
+      senderUid: uid,
+      title: 'New viewing request',
+      body: `${renterName} would like to view your room on ${formatTime(slot.startsAt)}.`,
+      request: { id: result.insertId, roomId: slot.roomId, status: 'requested' },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Viewing requested',
+      requestId: result.insertId,
+    });
+  } catch (error) {
+    console.error('viewings/request: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to request viewing' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+/**
+ * Respond to a viewing request.
+ * Landlord actions: accept, decline, propose (with startsAt/endsAt).
+ * Renter actions: accept or decline a proposed time, cancel.
+ */
+router.patch('/requests/:requestId', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const { requestId } = req.params;
+    const { action } = req.body;
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [requests] = await connection.query(
+      'SELECT * FROM viewing_requests WHERE id = ? FOR UPDATE',
+      [requestId]
+    );
+
+    if (requests.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Viewing request not found' });
+    }
+
+    const request = requests[0];
+    const isLandlord = request.landlordUid === uid;
+    const isRenter = request.renterUid === uid;
+
+    if (!isLandlord && !isRenter) {
+      await connection.rollback();
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Which actions each side may take from each status
+    const allowed = isLandlord
+      ? { requested: ['accept', 'decline', 'propose'], proposed: ['propose'], accepted: ['decline'] }
+      : { requested: ['cancel'], proposed: ['accept', 'decline', 'cancel'], accepted: ['cancel'] };
+
+    if (!(allowed[request.status] || []).includes(action)) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `Cannot ${action || 'update'} a viewing request that is ${request.status}`,
+      });
+    }
+
+    const [slots] = await connection.query(
+      'SELECT * FROM viewing_slots WHERE id = ? FOR UPDATE',
+      [request.slotId]
+    );
+    const slot = slots[0];
+
+    let newStatus;
+    let slotId = request.slotId;
+    let startsAt = slot.startsAt;
+    const updates = {};
+
+    if (isLandlord && action === 'accept') {
+      if (slot.status !== 'open') {
+        await connection.rollback();
+        return res.status(409).json({ error: 'This viewing slot is already booked' });
+      }
+      newStatus = 'accepted';
+      await connection.query('UPDATE viewing_slots SET status = "booked", updatedAt = NOW() WHERE id = ?', [slot.id]);
+    } else if (isLandlord && action === 'propose') {
+      const range = parseTimeRange(req.body.startsAt, req.body.endsAt);
+      if (range.error) {
+        await connection.rollback();
+        return res.status(400).json({ error: range.error });
+      }
+      newStatus = 'proposed';
+      startsAt = range.startsAt;
+      updates.proposedStartsAt = range.startsAt;
+      updates.proposedEndsAt = range.endsAt;
+    } else if (isRenter && action === 'accept') {
+      // Book the proposed time as a new slot. The original slot only stops
+      // counting as a clash while it is still open, not booked by someone else.
+      const ownSlotId = slot.status === 'open' ? slot.id : 0;
+      if (await hasOverlappingSlot(connection, request.roomId, request.proposedStartsAt, request.proposedEndsAt, ownSlotId)) {
+        await connection.rollback();
+        return res.status(409).json({ error: 'The proposed time is no longer available' });
+      }
+      if (new Date(request.proposedStartsAt) <= new Date()) {
+        await connection.rollback();
+        return res.status(409).json({ error: 'The proposed time has already passed' });
+      }
+      const [result] = await connection.query(
+        `INSERT INTO viewing_slots (roomId, landlordUid, startsAt, endsAt, status, createdAt, updatedAt)
+         VALUES (?, ?, ?, ?, 'booked', NOW(), NOW())`,
+        [request.roomId, request.landlordUid, request.proposedStartsAt, request.proposedEndsAt]
+      );
+      newStatus = 'accepted';
+      slotId = result.insertId;
+      startsAt = request.proposedStartsAt;
+      updates.slotId = slotId;
+    } else {
+      // decline or cancel
+      newStatus = isLandlord ? 'declined' : (action === 'decline' ? 'declined' : 'cancelled');
+      if (request.status === 'accepted') {
+        // Free the slot again; an agreed proposed time becomes a normal open slot
+        await connection.query(
+          'UPDATE viewing_slots SET status = IF(startsAt > NOW(), "open", status), updatedAt = NOW() WHERE id = ?',
+          [slot.id]
+        );
+      }
+    }
+
+    updates.status = newStatus;
+    await connection.query(
+      'UPDATE viewing_requests SET ?, updatedAt = NOW() WHERE id = ?',
+      [updates, requestId]
+    );
+
+    // Once a slot is booked, other renters waiting on it are declined
+    let declined = [];
+    if (isLandlord && action === 'accept') {
+      [declined] = await connection.query(
+        'SELECT * FROM viewing_requests WHERE slotId = ? AND id <> ? AND status IN ("requested", "proposed")',
+        [slotId, requestId]
+      );
+      if (declined.length > 0) {
+        await connection.query(
+          'UPDATE viewing_requests SET status = "declined", updatedAt = NOW() WHERE id IN (?)',
+          [declined.map(other => other.id)]
+        );
+      }
+    }
+
+    await connection.commit();
+
+    console.log(`viewings/respond: request=${requestId}, ${request.status} -> ${newStatus} by ${isLandlord ? 'landlord' : 'renter'}`);
+
+    const senderName = await getDisplayName(connection, uid);
+    const when = formatTime(startsAt);
+    const messages = {
+      accepted: ['Viewing confirmed', `${senderName} confirmed the viewing on ${when}.`],
+      proposed: ['New viewing time proposed', `${senderName} proposed ${when} for your viewing.`],
+      declined: ['Viewing declined', `${senderName} declined the viewing on ${when}.`],
+      cancelled: ['Viewing cancelled', `${senderName} cancelled the viewing on ${when}.`],
+    };
+
+    await notifyViewing(connection, {
+      recipientUid: isLandlord ? request.renterUid : request.landlordUid,
+      senderUid: uid,
+      title: messages[newStatus][0],
+      body: messages[newStatus][1],
+      request: { ...request, status: newStatus },
+    });
+
+    for (const other of declined) {
+      await notifyViewing(connection, {
+        recipientUid: other.renterUid,
+        senderUid: uid,
+        title: 'Viewing slot taken',
+        body: `The viewing on ${when} has been booked by someone else. Please pick another time.`,
+        request: { ...other, status: 'declined' },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Viewing request ${newStatus}`,
+      status: newStatus,
+      slotId: slotId,
+    });
+  } catch (error) {
+    console.error('viewings/respond: Error:', error);
+    if (connection) await connection.rollback().catch(() => {});
+    res.status(500).json({ error: error.message || 'Failed to update viewing request' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Upcoming viewings for the signed-in user, as renter and as landlord
+router.get('/upcoming', authenticate, async (req, res) => {
+  let connection;
+  try {
+    const uid = req.user.uid;
+
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      `SELECT
+        vr.id,
+        vr.slotId,
+        vr.roomId,
+        vr.renterUid,
+        vr.landlordUid,
+        vr.status,
+        vr.message,
+        vr.proposedStartsAt,
+        vr.proposedEndsAt,
+        vr.createdAt,
+        vs.startsAt,
+        vs.endsAt,
+        r.title as roomTitle,
+        r.address as roomAddress,
+        renter.firstName as renterFirstName,
+        renter.lastName as renterLastName,
+        renter.imageUrl as renterImageUrl,
+        landlord.firstName as landlordFirstName,
+        landlord.lastName as landlordLastName,
+        landlord.imageUrl as landlordImageUrl
+      FROM viewing_requests vr
+      INNER JOIN viewing_slots vs ON vs.id = vr.slotId
+      LEFT JOIN room_postings r ON r.id = vr.roomId
+      LEFT JOIN users renter ON renter.uid = vr.renterUid
+      LEFT JOIN users landlord ON landlord.uid = vr.landlordUid
+      WHERE (vr.renterUid = ? OR vr.landlordUid = ?)
+        AND vr.status IN (?)
+        AND COALESCE(vr.proposedEndsAt, vs.endsAt) > NOW()
+      ORDER BY COALESCE(vr.proposedStartsAt, vs.startsAt) ASC`,
+      [uid, uid, OPEN_REQUEST_STATUSES]
+    );
+
+    const viewings = rows.map(row => ({
+      ...row,
+      role: row.renterUid === uid ? 'renter' : 'landlord',
+    }));
+
+    res.status(200).json({
+      success: true,
+      viewings: viewings,
+      count: viewings.length,
+    });
+  } catch (error) {
+    console.error('viewings/upcoming: Error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get upcoming viewings' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
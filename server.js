@@ -9,7 +9,20 @@ const reviewRoutes = require('./routes/reviews');
 const notificationRoutes = require('./routes/notification');
 const matchesRoutes = require('./routes/matches');
 const landlordBioRoutes = require('./routes/landlord_bio');
+const savedSearchRoutes = require('./routes/savedSearches');
+const favoriteRoutes = require('./routes/favorites');
+const roomImageRoutes = require('./routes/roomImages');
+const viewingRoutes = require('./routes/viewings');
+const applicationRoutes = require('./routes/applications');
+const analyticsRoutes = require('./routes/analytics');
+const adminRoutes = require('./routes/admin');
+const amenityRoutes = require('./routes/amenities');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const locationRoutes = require('./routes/locations');
+const storage = require('./storage');
 const pool = require('./config/db');
+const { expireLapsedPostings } = require('./utils/roomLifecycle');
+const { pruneViewerLog } = require('./utils/roomAnalytics');
 require('dotenv').config();
 
 const app = express();
@@ -29,6 +42,11 @@ app.use(cors({
 
 app.use(express.json());
 
+// Serve uploaded files when the storage adapter keeps them on this server
+if (storage.staticRoute) {
+  app.use(storage.staticRoute.path, express.static(storage.staticRoute.dir, { maxAge: '7d' }));
+}
+
 // Health Check Route - FIXED
 app.get('/', (req, res) => {
   res.json({ 
@@ -72,6 +90,16 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api', matchesRoutes);
 app.use('/api/landlord-bio', landlordBioRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/room-images', roomImageRoutes);
+app.use('/api/viewings', viewingRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/amenities', amenityRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/locations', locationRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -98,6 +126,22 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Expire room postings whose subscription has lapsed
+const ROOM_EXPIRY_SWEEP_MS = parseInt(process.env.ROOM_EXPIRY_SWEEP_MINUTES || '15', 10) * 60 * 1000;
+
+setInterval(() => {
+  expireLapsedPostings().catch(error => {
+    console.error('Room expiry sweep failed:', error);
+  });
+}, ROOM_EXPIRY_SWEEP_MS);
+
+// Forget view dedup entries once they are past the window
+setInterval(() => {
+  pruneViewerLog().catch(error => {
+    console.error('Room viewer log prune failed:', error);
+  });
+}, 60 * 60 * 1000);
+
 // Start Server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
@@ -115,6 +159,16 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   - Notifications: /api/notifications/*`);
   console.log(`   - Matches: /api/matches/*`);
   console.log(`   - Landlord Bio: /api/landlord-bio/*`);
+  console.log(`   - Saved Searches: /api/saved-searches/*`);
+  console.log(`   - Favorites: /api/favorites/*`);
+  console.log(`   - Room Images: /api/room-images/*`);
+  console.log(`   - Viewings: /api/viewings/*`);
+  console.log(`   - Applications: /api/applications/*`);
+  console.log(`   - Analytics: /api/analytics/*`);
+  console.log(`   - Admin: /api/admin/*`);
+  console.log(`   - Amenities: GET /api/amenities`);
+  console.log(`   - Exchange Rates: /api/exchange-rates/*`);
+  console.log(`   - Locations: /api/locations/*`);
 });
 
 module.exports = app;
\ No newline at end of file
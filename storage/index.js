@@ -0,0 +1,19 @@
+const { createLocalStorage } = require('./localStorage');
+
+// Storage adapters by STORAGE_DRIVER. An adapter implements
+// save(key, buffer, contentType) -> url, remove(key) and urlFor(key).
+const drivers = {
+  local: createLocalStorage,
+};
+
+const driver = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+}
+
+const storage = drivers[driver]();
+
+console.log(`🗂️  File storage: ${storage.name}`);
+
+module.exports = storage;
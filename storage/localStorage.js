@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage adapter. Files live under UPLOAD_DIR and are served
+ * by server.js at /uploads.
+ */
+function createLocalStorage({
+  uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  publicBaseUrl = process.env.PUBLIC_BASE_URL || '',
+} = {}) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(uploadDir, key);
+    // Keys are generated server-side, but never let one escape the upload dir
+    if (!filePath.startsWith(path.resolve(uploadDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    // Mounted by server.js with express.static
+    staticRoute: { path: '/uploads', dir: uploadDir },
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.urlFor(key);
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    urlFor(key) {
+      return `${publicBaseUrl}/uploads/${key}`;
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
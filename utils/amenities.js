@@ -0,0 +1,135 @@
+const pool = require('../config/db');
+
+// The catalog rarely changes, so it is cached in memory
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+
+let catalogCache = null;
+
+/**
+ * Parse an amenities value: an array, a JSON array string, or a
+ * comma-separated string.
+ */
+function parseAmenities(field) {
+  if (Array.isArray(field)) return field;
+  if (typeof field === 'string') {
+    try {
+      const parsed = JSON.parse(field);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return field.split(',').map(item => item.trim()).filter(item => item);
+    }
+  }
+  return [];
+}
+
+/**
+ * Normalize a free-text amenity for alias lookup, so "Air-Con" and
+ * "aircon" compare equal. Must match the normalization in
+ * migrations/014_amenity_catalog.sql.
+ */
+function normalizeAmenityName(name) {
+  return String(name || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * Load the active catalog with a lookup from normalized names to keys.
+ * Returns { amenities, byKey, keyFor(name) }.
+ */
+async function loadAmenityCatalog(db = pool) {
+  if (catalogCache && Date.now() - catalogCache.loadedAt < CATALOG_TTL_MS) {
+    return catalogCache;
+  }
+
+  const [amenities] = await db.query(
+    'SELECT `key`, label, icon, category, sortOrder FROM amenities WHERE isActive = 1 ORDER BY sortOrder ASC, label ASC'
+  );
+  const [aliases] = await db.query('SELECT alias, amenityKey FROM amenity_aliases');
+
+  const byKey = new Map(amenities.map(amenity => [amenity.key, amenity]));
+  const lookup = new Map();
+
+  // Keys and labels always resolve, even without an alias row
+  amenities.forEach(amenity => {
+    lookup.set(normalizeAmenityName(amenity.key), amenity.key);
+    lookup.set(normalizeAmenityName(amenity.label), amenity.key);
+  });
+  aliases.forEach(row => {
+    if (byKey.has(row.amenityKey)) {
+      lookup.set(normalizeAmenityName(row.alias), row.amenityKey);
+    }
+  });
+
+  catalogCache = {
+    loadedAt: Date.now(),
+    amenities,
+    byKey,
+    keyFor: (name) => lookup.get(normalizeAmenityName(name)) || null,
+  };
+  return catalogCache;
+}
+
+/**
+ * Map free-text amenities onto the catalog.
+ * Returns { keys, labels }: catalog keys for recognised amenities, and the
+ * list to store in room_postings.amenities, with recognised amenities
+ * replaced by their catalog label and unknown ones kept as typed.
+ */
+async function normalizeAmenities(field, db = pool) {
+  const catalog = await loadAmenityCatalog(db);
+  const keys = [];
+  const labels = [];
+
+  for (const item of parseAmenities(field)) {
+    const name = String(item).trim();
+    if (!name) continue;
+
+    const key = catalog.keyFor(name);
+    if (key) {
+      if (!keys.includes(key)) {
+        keys.push(key);
+        labels.push(catalog.byKey.get(key).label);
+      }
+    } else if (!labels.some(label => normalizeAmenityName(label) === normalizeAmenityName(name))) {
+      labels.push(name);
+    }
+  }
+
+  return { keys, labels };
+}
+
+/**
+ * Replace a posting's catalog amenity links.
+ */
+async function syncRoomAmenities(connection, roomId, keys) {
+  await connection.query('DELETE FROM room_amenities WHERE roomId = ?', [roomId]);
+  if (keys.length > 0) {
+    await connection.query(
+      'INSERT INTO room_amenities (roomId, amenityKey) VALUES ?',
+      [keys.map(key => [roomId, key])]
+    );
+  }
+}
+
+/**
+ * Catalog entries (key, label, icon) for a posting's amenities.
+ */
+async function getRoomAmenityDetails(connection, roomId) {
+  const [rows] = await connection.query(
+    `SELECT a.\`key\`, a.label, a.icon, a.category
+     FROM room_amenities ra
+     JOIN amenities a ON a.\`key\` = ra.amenityKey
+     WHERE ra.roomId = ?
+     ORDER BY a.sortOrder ASC`,
+    [roomId]
+  );
+  return rows;
+}
+
+module.exports = {
+  parseAmenities,
+  normalizeAmenityName,
+  loadAmenityCatalog,
+  normalizeAmenities,
+  syncRoomAmenities,
+  getRoomAmenityDetails,
+};
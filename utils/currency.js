@@ -0,0 +1,119 @@
+const pool = require('../config/db');
+
+// Amounts are converted through USD; exchange_rates stores units per 1 USD
+const BASE_CURRENCY = 'USD';
+const SUPPORTED_CURRENCIES = ['USD', 'KHR'];
+
+// Riel is quoted in whole units
+const CURRENCY_DECIMALS = { USD: 2, KHR: 0 };
+
+const RATES_TTL_MS = 5 * 60 * 1000;
+
+let ratesCache = null;
+
+/**
+ * Parse a currency code. Returns the upper-case code, or null if it
+ * isn't supported.
+ */
+function parseCurrency(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * SQL converting an amount column to USD, e.g.
+ * toBaseSql('r.price', 'r.priceCurrency').
+ */
+function toBaseSql(amountSql, currencySql) {
+  return `(${amountSql} / (SELECT er.ratePerUsd FROM exchange_rates er WHERE er.currency = ${currencySql}))`;
+}
+
+// A bound amount in a bound currency, converted to USD: binds amount, currency
+const BOUND_AMOUNT_BASE_SQL = toBaseSql('?', '?');
+
+/**
+ * Load exchange rates as a Map of currency -> units per USD.
+ */
+async function loadExchangeRates(db = pool) {
+  if (ratesCache && Date.now() - ratesCache.loadedAt < RATES_TTL_MS) {
+    return ratesCache.rates;
+  }
+
+  const [rows] = await db.query('SELECT currency, ratePerUsd FROM exchange_rates');
+  const rates = new Map(rows.map(row => [row.currency, Number(row.ratePerUsd)]));
+  rates.set(BASE_CURRENCY, 1);
+
+  ratesCache = { loadedAt: Date.now(), rates };
+  return rates;
+}
+
+// Drop cached rates after an admin changes them
+function clearExchangeRateCache() {
+  ratesCache = null;
+}
+
+/**
+ * Convert an amount between currencies, rounded for the target currency.
+ * Returns null for missing amounts or unknown rates.
+ */
+function convertAmount(amount, from, to, rates) {
+  if (amount === null || amount === undefined || amount === '') {
+    return null;
+  }
+  const fromRate = rates.get(from || BASE_CURRENCY);
+  const toRate = rates.get(to);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+  const decimals = CURRENCY_DECIMALS[to] ?? 2;
+  const factor = Math.pow(10, decimals);
+  return Math.round((Number(amount) / fromRate) * toRate * factor) / factor;
+}
+
+/**
+ * Short price text for notifications, e.g. "$150/month" or "600,000៛/month".
+ */
+function formatPriceText(amount, currency) {
+  if (amount === null || amount === undefined) {
+    return '';
+  }
+  const value = Number(amount).toLocaleString('en-US', { maximumFractionDigits: CURRENCY_DECIMALS[currency] ?? 2 });
+  return currency === 'KHR' ? `${value}៛/month` : `$${value}/month`;
+}
+
+/**
+ * Work out which currency to show prices in: an explicit `currency`
+ * parameter, else the signed-in user's preferred currency, else USD.
+ * Returns { currency } or { error }.
+ */
+async function resolveViewerCurrency(db, requested, viewerUid = null) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    const currency = parseCurrency(requested);
+    return currency
+      ? { currency }
+      : { error: `Invalid currency. Must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+
+  if (viewerUid) {
+    const [rows] = await db.query('SELECT preferredCurrency FROM users WHERE uid = ?', [viewerUid]);
+    const preferred = rows.length > 0 ? parseCurrency(rows[0].preferredCurrency) : null;
+    if (preferred) {
+      return { currency: preferred };
+    }
+  }
+
+  return { currency: BASE_CURRENCY };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  parseCurrency,
+  toBaseSql,
+  BOUND_AMOUNT_BASE_SQL,
+  loadExchangeRates,
+  clearExchangeRateCache,
+  convertAmount,
+  formatPriceText,
+  resolveViewerCurrency,
+};
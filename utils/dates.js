@@ -0,0 +1,30 @@
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parse a calendar date to 'YYYY-MM-DD'.
+ * Accepts 'YYYY-MM-DD' strings and the Date objects mysql2 returns for
+ * DATE columns. Returns null for anything else or impossible dates.
+ */
+function parseDateOnly(value) {
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  const match = DATE_ONLY_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return match[0];
+}
+
+module.exports = { parseDateOnly };
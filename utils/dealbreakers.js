@@ -0,0 +1,119 @@
+// Structured habits on roomie_matches and the values each may take.
+// Must match the ENUM columns in migrations/022_roomie_dealbreakers.sql.
+const HABIT_OPTIONS = {
+  smoking: ['non_smoker', 'outdoor_smoker', 'smoker'],
+  pets: ['no_pets', 'has_pets'],
+  sleepSchedule: ['early_bird', 'flexible', 'night_owl'],
+  guests: ['rarely', 'sometimes', 'often'],
+  cleanliness: ['relaxed', 'average', 'very_tidy'],
+};
+
+const HABIT_FIELDS = Object.keys(HABIT_OPTIONS);
+
+/**
+ * Validate the habit fields and dealbreakers sent with roomie-match
+ * preferences. Only fields present in the body are returned, so updates
+ * leave the rest alone; null clears a field.
+ * Returns { fields } ready for roomie_matches or { error }.
+ */
+function parseHabitInput(body) {
+  const fields = {};
+
+  for (const habit of HABIT_FIELDS) {
+    const value = body[habit];
+    if (value === undefined) continue;
+    if (value !== null && !HABIT_OPTIONS[habit].includes(value)) {
+      return { error: `${habit} must be one of: ${HABIT_OPTIONS[habit].join(', ')}` };
+    }
+    fields[habit] = value;
+  }
+
+  const { dealbreakers } = body;
+  if (dealbreakers !== undefined) {
+    if (dealbreakers === null) {
+      fields.dealbreakers = null;
+    } else if (typeof dealbreakers !== 'object' || Array.isArray(dealbreakers)) {
+      return { error: 'dealbreakers must be an object of habit: [values you won\'t accept]' };
+    } else {
+      const cleaned = {};
+      for (const [habit, values] of Object.entries(dealbreakers)) {
+        if (!HABIT_OPTIONS[habit]) {
+          return { error: `Unknown dealbreaker ${habit}. Must be one of: ${HABIT_FIELDS.join(', ')}` };
+        }
+        if (!Array.isArray(values) || values.some(value => !HABIT_OPTIONS[habit].includes(value))) {
+          return { error: `dealbreakers.${habit} must be a list of: ${HABIT_OPTIONS[habit].join(', ')}` };
+        }
+        if (values.length > 0) {
+          cleaned[habit] = [...new Set(values)];
+        }
+      }
+      fields.dealbreakers = JSON.stringify(cleaned);
+    }
+  }
+
+  return { fields };
+}
+
+function parseDealbreakers(field) {
+  if (!field) return {};
+  if (typeof field === 'string') {
+    try {
+      return JSON.parse(field) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+  return field;
+}
+
+/**
+ * SQL conditions (roomie_matches alias "rm") that drop candidates failing
+ * either side's dealbreakers: the candidate has a habit the viewer won't
+ * accept, or the viewer has one the candidate won't accept. Dealbreakers
+ * are hard constraints, so leaving a habit blank fails any dealbreaker on
+ * it; habits without dealbreakers don't rule anyone out.
+ * Returns { sql, params } to append to a WHERE clause.
+ */
+function dealbreakerSql(viewer) {
+  const viewerDealbreakers = parseDealbreakers(viewer.dealbreakers);
+  let sql = '';
+  const params = [];
+
+  for (const habit of HABIT_FIELDS) {
+    const rejected = viewerDealbreakers[habit] || [];
+    if (rejected.length > 0) {
+      sql += ` AND rm.${habit} IS NOT NULL AND rm.${habit} NOT IN (?)`;
+      params.push(rejected);
+    }
+
+    if (viewer[habit]) {
+      sql += ` AND IFNULL(JSON_CONTAINS(rm.dealbreakers, JSON_QUOTE(?), '$.${habit}'), 0) = 0`;
+      params.push(viewer[habit]);
+    } else {
+      // The viewer hasn't said, so candidates with any dealbreaker here are out
+      sql += ` AND IFNULL(JSON_LENGTH(rm.dealbreakers, '$.${habit}'), 0) = 0`;
+    }
+  }
+
+  return { sql, params };
+}
+
+/**
+ * Habit fields of a roomie_matches row, for responses.
+ */
+function formatHabits(row) {
+  const habits = {};
+  for (const habit of HABIT_FIELDS) {
+    habits[habit] = row[habit] || null;
+  }
+  return habits;
+}
+
+module.exports = {
+  HABIT_OPTIONS,
+  HABIT_FIELDS,
+  parseHabitInput,
+  parseDealbreakers,
+  dealbreakerSql,
+  formatHabits,
+};
@@ -0,0 +1,215 @@
+const { parseJsonField } = require('./jsonFields');
+
+// Combined score at or above which a landlord's own repost is rejected
+const REJECT_SCORE = parseFloat(process.env.DUPLICATE_REJECT_SCORE || '0.85');
+// Combined score at or above which a posting is flagged for review
+const FLAG_SCORE = parseFloat(process.env.DUPLICATE_FLAG_SCORE || '0.6');
+// How far back to look at other landlords' postings
+const RECENT_DAYS = parseInt(process.env.DUPLICATE_LOOKBACK_DAYS || '30', 10);
+const MAX_CANDIDATES = 200;
+
+// Relative weight of each signal in the combined score
+const WEIGHTS = {
+  address: 0.25,
+  title: 0.25,
+  description: 0.3,
+  price: 0.1,
+  images: 0.1,
+};
+
+/**
+ * Lowercase text and collapse everything but letters and digits to single
+ * spaces, so punctuation and spacing tricks don't hide a repost.
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Character trigrams work for Khmer too, which isn't space-separated
+function trigrams(text) {
+  const normalized = normalizeText(text);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= normalized.length; i++) {
+    grams.add(normalized.substring(i, i + 3));
+  }
+  if (grams.size === 0 && normalized) {
+    grams.add(normalized);
+  }
+  return grams;
+}
+
+/**
+ * Jaccard similarity of two texts' trigram sets, from 0 to 1.
+ */
+function textSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  if (gramsA.size === 0 || gramsB.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  gramsA.forEach(gram => { if (gramsB.has(gram)) shared++; });
+  return shared / (gramsA.size + gramsB.size - shared);
+}
+
+function priceSimilarity(a, b) {
+  if (a.isFree || b.isFree) {
+    return a.isFree && b.isFree ? 1 : 0;
+  }
+  if ((a.priceCurrency || 'USD').toUpperCase() !== (b.priceCurrency || 'USD').toUpperCase()) {
+    return 0;
+  }
+  const priceA = Number(a.price);
+  const priceB = Number(b.price);
+  if (!priceA || !priceB) {
+    return 0;
+  }
+  return Math.min(priceA, priceB) / Math.max(priceA, priceB);
+}
+
+/**
+ * Score how likely two postings are the same listing.
+ * Returns { score, sharedImages, reasons } where reasons describe the
+ * signals that matched, for the reviewer.
+ */
+function compareRooms(a, b) {
+  const imagesA = parseJsonField(a.images);
+  const imagesB = parseJsonField(b.images);
+  const sharedImages = imagesA.filter(url => imagesB.includes(url)).length;
+
+  const signals = {
+    address: normalizeText(a.address) === normalizeText(b.address) ? 1 : textSimilarity(a.address, b.address),
+    title: textSimilarity(a.title, b.title),
+    description: textSimilarity(a.description, b.description),
+    price: priceSimilarity(a, b),
+  };
+
+  // Only weigh images when both postings have some
+  if (imagesA.length > 0 && imagesB.length > 0) {
+    signals.images = sharedImages / Math.min(imagesA.length, imagesB.length);
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    weighted += WEIGHTS[signal] * value;
+    totalWeight += WEIGHTS[signal];
+  }
+
+  const reasons = [];
+  if (signals.address >= 0.8) reasons.push(signals.address === 1 ? 'Same address' : 'Similar address');
+  if (signals.title >= 0.6) reasons.push(`Title ${Math.round(signals.title * 100)}% similar`);
+  if (signals.description >= 0.6) reasons.push(`Description ${Math.round(signals.description * 100)}% similar`);
+  if (sharedImages > 0) reasons.push(`${sharedImages} shared image${sharedImages === 1 ? '' : 's'}`);
+  if (signals.price >= 0.9) reasons.push('Same or similar price');
+
+  return {
+    score: Math.round((weighted / totalWeight) * 1000) / 1000,
+    sharedImages,
+    reasons,
+  };
+}
+
+/**
+ * Compare a new posting with the landlord's live postings and other
+ * landlords' recent postings in the same location.
+ *
+ * Returns { reject } with the closest own posting when it is a repost,
+ * otherwise { flags } (possibly empty) to record for admin review.
+ * Reusing another landlord's photos is always flagged.
+ */
+async function checkForDuplicates(connection, uid, roomData) {
+  const [candidates] = await connection.query(
+    `SELECT id, uid, title, description, address, price, priceCurrency, isFree, images, status
+     FROM room_postings
+     WHERE (uid = ? AND status IN ('draft', 'active', 'paused'))
+        OR (uid <> ? AND location = ? AND status = 'active' AND createdAt >= NOW() - INTERVAL ? DAY)
+     ORDER BY createdAt DESC
+     LIMIT ?`,
+    [uid, uid, roomData.location, RECENT_DAYS, MAX_CANDIDATES]
+  );
+
+  const flags = [];
+  let reject = null;
+
+  for (const candidate of candidates) {
+    const { score, sharedImages, reasons } = compareRooms(roomData, candidate);
+    const isOwn = candidate.uid === uid;
+
+    if (isOwn && score >= REJECT_SCORE) {
+      if (!reject || score > reject.score) {
+        reject = { roomId: candidate.id, title: candidate.title, score, reasons };
+      }
+    } else if (score >= FLAG_SCORE || (!isOwn && sharedImages > 0)) {
+      flags.push({ duplicateOfRoomId: candidate.id, score, reasons });
+    }
+  }
+
+  return reject ? { reject } : { flags };
+}
+
+/**
+ * Find the posting in `others` (not yet saved, e.g. earlier rows of an
+ * import) that `roomData` reposts, using the same threshold as
+ * checkForDuplicates. Returns its index, or -1.
+ */
+function findRepostIndex(roomData, others) {
+  let best = -1;
+  let bestScore = REJECT_SCORE;
+  others.forEach((other, index) => {
+    const { score } = compareRooms(roomData, other);
+    if (score >= bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Group room ids into clusters from pairwise flags (union-find), so a
+ * room posted five times shows up as one cluster.
+ * Returns an array of { roomIds, flags }.
+ */
+function clusterFlags(flags) {
+  const parent = new Map();
+
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  flags.forEach(flag => {
+    const rootA = find(flag.roomId);
+    const rootB = find(flag.duplicateOfRoomId);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  });
+
+  const clusters = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!clusters.has(root)) clusters.set(root, { roomIds: [], flags: [] });
+    clusters.get(root).roomIds.push(id);
+  }
+  flags.forEach(flag => clusters.get(find(flag.roomId)).flags.push(flag));
+
+  return [...clusters.values()];
+}
+
+module.exports = {
+  compareRooms,
+  checkForDuplicates,
+  findRepostIndex,
+  clusterFlags,
+};
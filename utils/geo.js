@@ -0,0 +1,45 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Parse a latitude/longitude value.
+ * Returns the number, or null if it is missing or out of range.
+ */
+function parseCoordinate(value, min, max) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = parseFloat(value);
+  if (isNaN(num) || num < min || num > max) {
+    return null;
+  }
+  return num;
+}
+
+const parseLatitude = (value) => parseCoordinate(value, -90, 90);
+const parseLongitude = (value) => parseCoordinate(value, -180, 180);
+
+/**
+ * Smallest lat/lng box containing a circle, used to narrow a radius
+ * search down to rows the coordinate index can find.
+ */
+function boundingBox(lat, lng, radiusKm) {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(lat * Math.PI / 180), 0.000001);
+
+  return {
+    minLat: Math.max(lat - latDelta, -90),
+    maxLat: Math.min(lat + latDelta, 90),
+    minLng: Math.max(lng - lngDelta, -180),
+    maxLng: Math.min(lng + lngDelta, 180),
+  };
+}
+
+// Great-circle distance in km from room alias "r" to a point; binds (lng, lat)
+const DISTANCE_KM_SQL = 'ST_Distance_Sphere(POINT(r.longitude, r.latitude), POINT(?, ?)) / 1000';
+
+module.exports = {
+  parseLatitude,
+  parseLongitude,
+  boundingBox,
+  DISTANCE_KM_SQL,
+};
@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_MB || '10', 10) * 1024 * 1024;
+// HEIC/HEIF is left out: this sharp build can only decode AVIF from that family
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Formats sharp must detect in the file itself; the client's MIME type is only a first check
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Sizes generated for every upload. `cover` crops to the exact box.
+const IMAGE_VARIANTS = {
+  large: { width: 1600, height: 1600, fit: 'inside' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  thumbnail: { width: 320, height: 320, fit: 'cover' },
+};
+
+/**
+ * Validate an uploaded image and render all variants as JPEG.
+ * Orientation is baked in from EXIF, and all metadata (including GPS
+ * location) is dropped because sharp does not copy it unless asked to.
+ * Returns { variants: { large, medium, thumbnail }, width, height } or { error }.
+ */
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: `Unsupported image format: ${metadata.format}` };
+  }
+
+  // Headers can look fine while the pixel data can't be decoded
+  const variants = {};
+  try {
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = await sharp(buffer)
+        .rotate()
+        .resize({ ...size, withoutEnlargement: size.fit === 'inside' })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+    }
+  } catch (error) {
+    return { error: 'Image could not be decoded' };
+  }
+
+  return {
+    variants,
+    width: variants.large.info.width,
+    height: variants.large.info.height,
+  };
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  ALLOWED_MIME_TYPES,
+  IMAGE_VARIANTS,
+  processImage,
+};
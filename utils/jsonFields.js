@@ -0,0 +1,46 @@
+/**
+ * Parse a JSON column that may hold a MySQL-parsed value, a JSON string,
+ * or a legacy comma-separated string.
+ */
+function parseJsonField(field, defaultValue = []) {
+  // If it's already an array (MySQL auto-parsed it), return as-is
+  if (Array.isArray(field)) {
+    return field;
+  }
+  
+  // If it's already an object, return as-is
+  if (typeof field === 'object' && field !== null) {
+    return field;
+  }
+  
+  // If it's a string, try to parse it
+  if (typeof field === 'string') {
+    try {
+      const parsed = JSON.parse(field);
+      return parsed;
+    } catch (e) {
+      console.error('Failed to parse JSON field:', e.message);
+      // Handle comma-separated strings (legacy format)
+      if (field.includes(',')) {
+        return field.split(',').map(item => item.trim()).filter(item => item);
+      }
+      // If it's an empty string or 'null', return default value
+      if (!field.trim() || field.trim().toLowerCase() === 'null') {
+          return defaultValue;
+      }
+      // If it's a single non-empty string, return as array with one item
+      if (field.trim()) {
+        return [field.trim()];
+      }
+    }
+  }
+  
+  // Handle null/undefined
+  if (field === null || field === undefined) {
+    return defaultValue;
+  }
+  
+  return defaultValue;
+}
+
+module.exports = { parseJsonField };
@@ -0,0 +1,106 @@
+const pool = require('../config/db');
+const { RENTER_PLAN_TYPES } = require('./subscriptionPlans');
+
+// Likes a user may send per day, without and with the renter premium plan
+const FREE_DAILY_LIKES = parseInt(process.env.FREE_DAILY_LIKES || '20', 10);
+const PREMIUM_DAILY_LIKES = parseInt(process.env.PREMIUM_DAILY_LIKES || '100', 10);
+
+// Quotas reset at midnight in the app's timezone
+const TIME_ZONE = process.env.APP_TIMEZONE || 'Asia/Phnom_Penh';
+
+function localClock(date) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    secondsIntoDay: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second),
+  };
+}
+
+/**
+ * Today's quota day and when it ends.
+ */
+function quotaDay(now = new Date()) {
+  const { date, secondsIntoDay } = localClock(now);
+  const resetsAt = new Date(now.getTime() + (24 * 3600 - secondsIntoDay) * 1000);
+  resetsAt.setMilliseconds(0);
+  return { usageDate: date, resetsAt };
+}
+
+async function hasRenterPremium(db, uid) {
+  const [rows] = await db.query(
+    `SELECT 1 FROM subscriptions
+     WHERE uid = ? AND planType IN (?) AND status = 'active' AND expiresAt > NOW()
+     LIMIT 1`,
+    [uid, RENTER_PLAN_TYPES]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * A user's like quota for today:
+ * { limit, used, remaining, isPremium, resetsAt }.
+ */
+async function getLikeQuota(uid, db = pool) {
+  const { usageDate, resetsAt } = quotaDay();
+  const isPremium = await hasRenterPremium(db, uid);
+  const limit = isPremium ? PREMIUM_DAILY_LIKES : FREE_DAILY_LIKES;
+
+  const [rows] = await db.query(
+    'SELECT likeCount FROM like_usage WHERE uid = ? AND usageDate = ?',
+    [uid, usageDate]
+  );
+  const used = rows.length > 0 ? rows[0].likeCount : 0;
+
+  return { limit, used, remaining: Math.max(limit - used, 0), isPremium, resetsAt };
+}
+
+/**
+ * Count one like against today's quota if any is left. Call inside a
+ * transaction: the user's usage row stays locked until it ends, so their
+ * likes are handled one at a time and a rollback gives the like back.
+ * Returns { allowed, quota } with the quota after this like.
+ */
+async function consumeLike(uid, connection) {
+  const { usageDate } = quotaDay();
+  const quota = await getLikeQuota(uid, connection);
+
+  await connection.query(
+    'INSERT IGNORE INTO like_usage (uid, usageDate, likeCount) VALUES (?, ?, 0)',
+    [uid, usageDate]
+  );
+  const [rows] = await connection.query(
+    'SELECT likeCount FROM like_usage WHERE uid = ? AND usageDate = ? FOR UPDATE',
+    [uid, usageDate]
+  );
+  const used = rows[0].likeCount;
+
+  if (used >= quota.limit) {
+    return { allowed: false, quota: { ...quota, used, remaining: 0 } };
+  }
+
+  await connection.query(
+    'UPDATE like_usage SET likeCount = likeCount + 1 WHERE uid = ? AND usageDate = ?',
+    [uid, usageDate]
+  );
+  return { allowed: true, quota: { ...quota, used: used + 1, remaining: quota.limit - used - 1 } };
+}
+
+module.exports = {
+  FREE_DAILY_LIKES,
+  PREMIUM_DAILY_LIKES,
+  quotaDay,
+  getLikeQuota,
+  consumeLike,
+};
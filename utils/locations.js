@@ -0,0 +1,106 @@
+const pool = require('../config/db');
+
+// Reference data, cached in memory
+const LOCATIONS_TTL_MS = 10 * 60 * 1000;
+
+let locationsCache = null;
+
+// Same normalization as the alias backfill in migrations/016_locations.sql
+function normalizeLocationName(name) {
+  return String(name || '').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * Condition matching a location column against a location and everything
+ * below it, e.g. every sangkat in a khan. Binds the location id once.
+ */
+function locationSubtreeSql(column) {
+  return `${column} IN (
+    WITH RECURSIVE subtree AS (
+      SELECT id FROM locations WHERE id = ?
+      UNION ALL
+      SELECT l.id FROM locations l JOIN subtree ON l.parentId = subtree.id
+    )
+    SELECT id FROM subtree
+  )`;
+}
+
+/**
+ * Load all locations. Returns { locations, byId, idFor(name) } where idFor
+ * looks up an English or Khmer name or a known alias.
+ */
+async function loadLocations(db = pool) {
+  if (locationsCache && Date.now() - locationsCache.loadedAt < LOCATIONS_TTL_MS) {
+    return locationsCache;
+  }
+
+  const [locations] = await db.query(
+    'SELECT id, parentId, level, nameEn, nameKm, sortOrder FROM locations ORDER BY sortOrder ASC, nameEn ASC'
+  );
+  const [aliases] = await db.query('SELECT alias, locationId FROM location_aliases');
+
+  const byId = new Map(locations.map(location => [location.id, location]));
+  const lookup = new Map();
+
+  // Names shared by several places (e.g. in different khans) are ambiguous
+  const ambiguous = new Set();
+  locations.forEach(location => {
+    [location.nameEn, location.nameKm].forEach(name => {
+      const key = normalizeLocationName(name);
+      if (lookup.has(key) && lookup.get(key) !== location.id) ambiguous.add(key);
+      lookup.set(key, location.id);
+    });
+  });
+  ambiguous.forEach(key => lookup.delete(key));
+  aliases.forEach(row => {
+    if (byId.has(row.locationId)) lookup.set(normalizeLocationName(row.alias), row.locationId);
+  });
+
+  locationsCache = {
+    loadedAt: Date.now(),
+    locations,
+    byId,
+    idFor: (name) => lookup.get(normalizeLocationName(name)) || null,
+  };
+  return locationsCache;
+}
+
+/**
+ * The chain of locations from the city down to `id`.
+ */
+function locationPath(byId, id) {
+  const path = [];
+  let current = byId.get(Number(id));
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Resolve the location fields sent with a posting or preferences.
+ * An explicit locationId must exist and sets the display name; otherwise
+ * free text is linked to a location when it names one.
+ * Returns { locationId, location } or { error }.
+ */
+async function resolveLocationInput(db, { locationId, location }) {
+  const { byId, idFor } = await loadLocations(db);
+
+  if (locationId !== undefined && locationId !== null && locationId !== '') {
+    const match = byId.get(parseInt(locationId, 10));
+    if (!match) {
+      return { error: 'Unknown locationId' };
+    }
+    return { locationId: match.id, location: match.nameEn };
+  }
+
+  return { locationId: location ? idFor(location) : null, location };
+}
+
+module.exports = {
+  locationSubtreeSql,
+  loadLocations,
+  locationPath,
+  resolveLocationInput,
+};
@@ -0,0 +1,155 @@
+const { toBaseSql, BOUND_AMOUNT_BASE_SQL } = require('./currency');
+
+const MIN_AGE = 18;
+const MAX_AGE = 100;
+
+// Candidate budgets and criteria bounds in USD (roomie_matches alias "rm")
+const MIN_BUDGET_BASE_SQL = toBaseSql('rm.minBudget', 'rm.budgetCurrency');
+const MAX_BUDGET_BASE_SQL = toBaseSql('rm.maxBudget', 'rm.budgetCurrency');
+const LOOKING_FOR_MIN_BUDGET_BASE_SQL = toBaseSql('rm.lookingForMinBudget', 'rm.budgetCurrency');
+const LOOKING_FOR_MAX_BUDGET_BASE_SQL = toBaseSql('rm.lookingForMaxBudget', 'rm.budgetCurrency');
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+function parseBound(value, parse) {
+  if (isBlank(value)) return null;
+  const parsed = parse(value);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Validate the `lookingFor` object sent with roomie-match preferences:
+ * { genders, minAge, maxAge, minBudget, maxBudget }, budgets in the user's
+ * budgetCurrency. Every key is optional; null clears the whole object.
+ * Returns { fields } ready for roomie_matches (empty if not sent) or { error }.
+ */
+function parseLookingForInput(lookingFor) {
+  if (lookingFor === undefined) {
+    return { fields: {} };
+  }
+
+  const input = lookingFor || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'lookingFor must be an object with genders, minAge, maxAge, minBudget and maxBudget' };
+  }
+
+  const { genders } = input;
+  if (!isBlank(genders) && (!Array.isArray(genders) || genders.some(gender => typeof gender !== 'string' || !gender.trim()))) {
+    return { error: 'lookingFor.genders must be a list of genders' };
+  }
+
+  const minAge = parseBound(input.minAge, value => parseInt(value, 10));
+  const maxAge = parseBound(input.maxAge, value => parseInt(value, 10));
+  for (const age of [minAge, maxAge]) {
+    if (age !== null && !(age >= MIN_AGE && age <= MAX_AGE)) {
+      return { error: `lookingFor ages must be between ${MIN_AGE} and ${MAX_AGE}` };
+    }
+  }
+  if (minAge !== null && maxAge !== null && minAge > maxAge) {
+    return { error: 'lookingFor.minAge cannot be greater than lookingFor.maxAge' };
+  }
+
+  const minBudget = parseBound(input.minBudget, parseFloat);
+  const maxBudget = parseBound(input.maxBudget, parseFloat);
+  for (const budget of [minBudget, maxBudget]) {
+    if (budget !== null && !(budget >= 0)) {
+      return { error: 'lookingFor budgets must be non-negative numbers' };
+    }
+  }
+  if (minBudget !== null && maxBudget !== null && minBudget > maxBudget) {
+    return { error: 'lookingFor.minBudget cannot be greater than lookingFor.maxBudget' };
+  }
+
+  return {
+    fields: {
+      lookingForGenders: Array.isArray(genders) && genders.length > 0
+        ? JSON.stringify(genders.map(gender => gender.trim()))
+        : null,
+      lookingForMinAge: minAge,
+      lookingForMaxAge: maxAge,
+      lookingForMinBudget: minBudget,
+      lookingForMaxBudget: maxBudget,
+    },
+  };
+}
+
+function parseGenders(field) {
+  if (Array.isArray(field)) return field;
+  if (typeof field === 'string') {
+    try {
+      return JSON.parse(field) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * The lookingFor criteria of a roomie_matches row, for responses.
+ */
+function formatLookingFor(row) {
+  const number = (value) => (value === null || value === undefined ? null : parseFloat(value));
+  return {
+    genders: parseGenders(row.lookingForGenders),
+    minAge: row.lookingForMinAge ?? null,
+    maxAge: row.lookingForMaxAge ?? null,
+    minBudget: number(row.lookingForMinBudget),
+    maxBudget: number(row.lookingForMaxBudget),
+  };
+}
+
+/**
+ * SQL conditions (roomie_matches alias "rm") keeping only candidates the
+ * viewer's criteria accept and whose own criteria accept the viewer.
+ * Budgets are compared in USD as overlapping ranges.
+ * Returns { sql, params } to append to a WHERE clause.
+ */
+function lookingForSql(viewer) {
+  const criteria = formatLookingFor(viewer);
+  const viewerCurrency = viewer.budgetCurrency || 'USD';
+  let sql = '';
+  const params = [];
+
+  // The viewer accepts the candidate
+  if (criteria.genders.length > 0) {
+    sql += ' AND rm.gender IN (?)';
+    params.push(criteria.genders);
+  }
+  if (criteria.minAge !== null) {
+    sql += ' AND rm.age >= ?';
+    params.push(criteria.minAge);
+  }
+  if (criteria.maxAge !== null) {
+    sql += ' AND rm.age <= ?';
+    params.push(criteria.maxAge);
+  }
+  if (criteria.minBudget !== null) {
+    sql += ` AND ${MAX_BUDGET_BASE_SQL} >= ${BOUND_AMOUNT_BASE_SQL}`;
+    params.push(criteria.minBudget, viewerCurrency);
+  }
+  if (criteria.maxBudget !== null) {
+    sql += ` AND ${MIN_BUDGET_BASE_SQL} <= ${BOUND_AMOUNT_BASE_SQL}`;
+    params.push(criteria.maxBudget, viewerCurrency);
+  }
+
+  // The candidate accepts the viewer
+  sql += ` AND (rm.lookingForGenders IS NULL OR JSON_LENGTH(rm.lookingForGenders) = 0
+    OR JSON_CONTAINS(CAST(LOWER(rm.lookingForGenders) AS JSON), JSON_QUOTE(?)))`;
+  params.push(String(viewer.gender || '').toLowerCase());
+  sql += ' AND (rm.lookingForMinAge IS NULL OR rm.lookingForMinAge <= ?)';
+  sql += ' AND (rm.lookingForMaxAge IS NULL OR rm.lookingForMaxAge >= ?)';
+  params.push(viewer.age, viewer.age);
+  sql += ` AND (rm.lookingForMinBudget IS NULL OR ${LOOKING_FOR_MIN_BUDGET_BASE_SQL} <= ${BOUND_AMOUNT_BASE_SQL})`;
+  params.push(viewer.maxBudget, viewerCurrency);
+  sql += ` AND (rm.lookingForMaxBudget IS NULL OR ${LOOKING_FOR_MAX_BUDGET_BASE_SQL} >= ${BOUND_AMOUNT_BASE_SQL})`;
+  params.push(viewer.minBudget, viewerCurrency);
+
+  return { sql, params };
+}
+
+module.exports = {
+  parseLookingForInput,
+  formatLookingFor,
+  lookingForSql,
+};
@@ -0,0 +1,61 @@
+// Report categories renters can pick from
+const REPORT_REASONS = ['scam', 'misleading', 'wrong_price', 'unavailable', 'duplicate', 'offensive', 'other'];
+
+// Open reports from different renters that hide a listing until reviewed
+const AUTO_HIDE_REPORT_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD || '3', 10);
+
+const MAX_REPORT_DETAILS_LENGTH = 2000;
+
+// moderatorUid recorded for automatic decisions
+const SYSTEM_MODERATOR = 'system';
+
+/**
+ * Record a moderation decision in moderation_actions.
+ */
+async function recordModerationAction(connection, { roomId = null, targetUid = null, action, moderatorUid, note = null }) {
+  await connection.query(
+    `INSERT INTO moderation_actions (roomId, targetUid, action, moderatorUid, note, createdAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [roomId, targetUid, action, moderatorUid, note]
+  );
+}
+
+/**
+ * Hide a visible listing once it has collected enough open reports.
+ * Returns true if the listing was hidden by this call.
+ */
+async function autoHideIfReported(connection, roomId) {
+  const [countRows] = await connection.query(
+    "SELECT COUNT(*) as reportCount FROM room_reports WHERE roomId = ? AND status = 'open'",
+    [roomId]
+  );
+  const reportCount = countRows[0].reportCount;
+
+  if (reportCount < AUTO_HIDE_REPORT_THRESHOLD) {
+    return false;
+  }
+
+  const [result] = await connection.query(
+    "UPDATE room_postings SET moderationStatus = 'auto_hidden' WHERE id = ? AND moderationStatus = 'visible'",
+    [roomId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await recordModerationAction(connection, {
+    roomId,
+    action: 'auto_hide',
+    moderatorUid: SYSTEM_MODERATOR,
+    note: `${reportCount} open reports`,
+  });
+  return true;
+}
+
+module.exports = {
+  REPORT_REASONS,
+  MAX_REPORT_DETAILS_LENGTH,
+  recordModerationAction,
+  autoHideIfReported,
+};
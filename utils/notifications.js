@@ -0,0 +1,67 @@
+const admin = require('firebase-admin');
+const pool = require('../config/db');
+
+// FCM only accepts string values in the data payload
+function toFcmData(data) {
+  const fcmData = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      fcmData[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  });
+  return fcmData;
+}
+
+/**
+ * Save a notification to the notifications table and push it over FCM
+ * when the recipient has a token and notifications enabled.
+ * FCM failures are logged, never thrown. Returns true if the push was sent.
+ */
+async function sendNotification({ recipientUid, senderUid = null, title, body, data = {} }, db = pool) {
+  await db.query(
+    `INSERT INTO notifications (recipientUid, senderUid, title, message, type, data, createdAt) 
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [recipientUid, senderUid, title, body, data.type || 'general', JSON.stringify(data)]
+  );
+
+  const [users] = await db.query(
+    'SELECT fcmToken, notificationsEnabled FROM users WHERE uid = ?',
+    [recipientUid]
+  );
+
+  if (users.length === 0 || !users[0].notificationsEnabled || !users[0].fcmToken) {
+    return false;
+  }
+
+  try {
+    await admin.messaging().send({
+      notification: {
+        title: title,
+        body: body,
+      },
+      data: toFcmData(data),
+      token: users[0].fcmToken,
+    });
+    return true;
+  } catch (error) {
+    console.error('notifications: FCM error for', recipientUid, ':', error.message);
+
+    // If token is invalid, remove it from database
+    if (error.code === 'messaging/registration-token-not-registered' ||
+        error.code === 'messaging/invalid-registration-token') {
+      await db.query('UPDATE users SET fcmToken = NULL WHERE uid = ?', [recipientUid]);
+    }
+    return false;
+  }
+}
+
+/**
+ * A user's display name for notification text.
+ */
+async function getDisplayName(db, uid) {
+  const [rows] = await db.query('SELECT firstName, lastName FROM users WHERE uid = ?', [uid]);
+  if (rows.length === 0) return 'Someone';
+  return `${rows[0].firstName || ''} ${rows[0].lastName || ''}`.trim() || 'Someone';
+}
+
+module.exports = { sendNotification, getDisplayName };
@@ -0,0 +1,98 @@
+const pool = require('../config/db');
+const { sendNotification } = require('./notifications');
+const { findMatchingSavedSearches } = require('./savedSearches');
+const { BASE_CURRENCY, loadExchangeRates, convertAmount, formatPriceText } = require('./currency');
+
+/**
+ * Append a posting's current price to room_price_history.
+ */
+async function recordPriceChange(connection, roomId, { price, priceCurrency, isFree }, uid) {
+  await connection.query(
+    `INSERT INTO room_price_history (roomId, price, priceCurrency, isFree, changedBy, createdAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [roomId, isFree ? null : price, priceCurrency || BASE_CURRENCY, isFree ? 1 : 0, uid]
+  );
+}
+
+/**
+ * A posting's price history, oldest first.
+ */
+async function getPriceHistory(connection, roomId) {
+  const [rows] = await connection.query(
+    `SELECT price, priceCurrency, isFree, createdAt
+     FROM room_price_history
+     WHERE roomId = ?
+     ORDER BY createdAt ASC, id ASC`,
+    [roomId]
+  );
+  return rows.map(row => ({
+    ...row,
+    price: row.price === null ? null : Number(row.price),
+    isFree: row.isFree === 1,
+  }));
+}
+
+/**
+ * True if `after` is cheaper than `before`, comparing in USD so a change
+ * of currency alone is not a drop. Becoming free counts as a drop.
+ */
+function isPriceDrop(before, after, rates) {
+  if (before.isFree) return false;
+  if (after.isFree) return true;
+  const from = convertAmount(before.price, before.priceCurrency, BASE_CURRENCY, rates);
+  const to = convertAmount(after.price, after.priceCurrency, BASE_CURRENCY, rates);
+  return from !== null && to !== null && to < from;
+}
+
+/**
+ * Tell renters who favorited a room, or whose saved searches match it,
+ * that its price dropped. `room` is the updated posting row and `before`
+ * its previous price fields. Failures are logged so they never affect the
+ * request that changed the price.
+ */
+async function notifyPriceDrop(room, before, db = pool) {
+  try {
+    const rates = await loadExchangeRates(db);
+    if (!isPriceDrop(before, room, rates)) {
+      return;
+    }
+
+    const [favoriters] = await db.query(
+      'SELECT uid FROM room_favorites WHERE roomId = ? AND uid <> ?',
+      [room.id, room.uid]
+    );
+    const searches = await findMatchingSavedSearches(room, db);
+    const recipients = new Set([
+      ...favoriters.map(row => row.uid),
+      ...searches.map(search => search.uid),
+    ]);
+
+    const oldPrice = formatPriceText(before.price, before.priceCurrency || BASE_CURRENCY);
+    const newPrice = room.isFree ? 'free' : formatPriceText(room.price, room.priceCurrency || BASE_CURRENCY);
+
+    for (const recipientUid of recipients) {
+      await sendNotification({
+        recipientUid,
+        senderUid: room.uid,
+        title: 'Price drop',
+        body: `"${room.title}" dropped from ${oldPrice} to ${newPrice}.`,
+        data: {
+          type: 'price_drop',
+          roomId: String(room.id),
+        },
+      }, db);
+    }
+
+    if (recipients.size > 0) {
+      console.log(`priceHistory: Notified ${recipients.size} renters about a price drop on room ${room.id}`);
+    }
+  } catch (error) {
+    console.error('priceHistory: Failed to notify price drop for room', room.id, ':', error);
+  }
+}
+
+module.exports = {
+  recordPriceChange,
+  getPriceHistory,
+  notifyPriceDrop,
+};
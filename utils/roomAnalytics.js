@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const pool = require('../config/db');
+
+// Repeat events from the same viewer inside this window are counted once
+const DEDUP_WINDOW_MINUTES = parseInt(process.env.ROOM_VIEW_DEDUP_MINUTES || '30', 10);
+
+// room_stats_daily column for each event type
+const EVENT_COLUMNS = {
+  view: 'views',
+  impression: 'impressions',
+  favorite: 'favorites',
+  inquiry: 'inquiries',
+};
+
+// Event types that are deduplicated per viewer
+const DEDUPED_EVENTS = ['view', 'impression'];
+
+/**
+ * Identify the viewer behind a request: the signed-in uid, or a hash of
+ * IP and user agent for anonymous visitors.
+ */
+function viewerKeyFor(req) {
+  if (req.user) {
+    return `uid:${req.user.uid}`;
+  }
+  const fingerprint = `${req.ip}|${req.headers['user-agent'] || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 40)}`;
+}
+
+/**
+ * Count an event for each room in today's room_stats_daily row.
+ * Views and impressions from a viewer already counted inside the dedup
+ * window are skipped. Errors are logged, never thrown, so callers can
+ * fire and forget.
+ */
+async function recordRoomEvents(roomIds, type, viewerKey = null, db = pool) {
+  const column = EVENT_COLUMNS[type];
+  let ids = [...new Set(roomIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+
+  if (!column || ids.length === 0) {
+    return;
+  }
+
+  try {
+    if (DEDUPED_EVENTS.includes(type) && viewerKey) {
+      const [recent] = await db.query(
+        `SELECT roomId FROM room_event_viewers
+         WHERE eventType = ? AND viewerKey = ? AND roomId IN (?)
+           AND lastCountedAt > NOW() - INTERVAL ? MINUTE`,
+        [type, viewerKey, ids, DEDUP_WINDOW_MINUTES]
+      );
+      const alreadyCounted = new Set(recent.map(row => row.roomId));
+      ids = ids.filter(id => !alreadyCounted.has(id));
+
+      if (ids.length === 0) {
+        return;
+      }
+
+      await db.query(
+        `INSERT INTO room_event_viewers (roomId, eventType, viewerKey, lastCountedAt)
+         VALUES ${ids.map(() => '(?, ?, ?, NOW())').join(', ')}
+         ON DUPLICATE KEY UPDATE lastCountedAt = VALUES(lastCountedAt)`,
+        ids.flatMap(id => [id, type, viewerKey])
+      );
+    }
+
+    await db.query(
+      `INSERT INTO room_stats_daily (roomId, statDate, ${column})
+       VALUES ${ids.map(() => '(?, CURDATE(), 1)').join(', ')}
+       ON DUPLICATE KEY UPDATE ${column} = ${column} + 1`,
+      ids
+    );
+  } catch (error) {
+    console.error(`roomAnalytics: Failed to record ${type} for rooms ${ids.join(',')}:`, error.message);
+  }
+}
+
+/**
+ * Drop dedup entries that are past the window.
+ */
+async function pruneViewerLog(db = pool) {
+  const [result] = await db.query(
+    'DELETE FROM room_event_viewers WHERE lastCountedAt < NOW() - INTERVAL ? MINUTE',
+    [DEDUP_WINDOW_MINUTES]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  EVENT_COLUMNS,
+  viewerKeyFor,
+  recordRoomEvents,
+  pruneViewerLog,
+};
@@ -0,0 +1,415 @@
+const { PUBLIC_ROOM_CONDITION } = require('./roomLifecycle');
+const { parseLatitude, parseLongitude, boundingBox, DISTANCE_KM_SQL } = require('./geo');
+const { searchTerms, highlight, buildSnippet } = require('./search');
+const { parseJsonField } = require('./jsonFields');
+const { parseDateOnly } = require('./dates');
+const { locationSubtreeSql } = require('./locations');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  parseCurrency,
+  toBaseSql,
+  BOUND_AMOUNT_BASE_SQL,
+  convertAmount,
+} = require('./currency');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Full-text match against the ft_room_postings_search index; binds the query once
+const ROOM_MATCH_SQL = 'MATCH(r.title, r.description, r.amenitiesText) AGAINST (? IN NATURAL LANGUAGE MODE)';
+
+// Room price and deposit in USD, so rooms priced in different currencies compare
+const ROOM_PRICE_BASE_SQL = toBaseSql('r.price', 'r.priceCurrency');
+const ROOM_DEPOSIT_BASE_SQL = toBaseSql('r.deposit', 'r.priceCurrency');
+
+// Sort modes for room browsing. `key` is evaluated on the derived table "t"
+// and must never be NULL so it can be used as a keyset cursor.
+const ROOM_SORTS = {
+  newest: { key: 'UNIX_TIMESTAMP(t.createdAt)', direction: 'DESC' },
+  price_asc: { key: 'COALESCE(t.basePrice, 0)', direction: 'ASC' },
+  price_desc: { key: 'COALESCE(t.basePrice, 0)', direction: 'DESC' },
+  rating: { key: 't.ownerRating', direction: 'DESC' },
+  // Rooms without coordinates sort last
+  distance: { key: 'COALESCE(t.distance, 1000000)', direction: 'ASC', requires: 'center' },
+  relevance: { key: 't.relevance', direction: 'DESC', requires: 'keywords' },
+};
+
+// The cursor records its sort mode so it can't be reused with another sort
+function encodeCursor(sort, sortValue, id) {
+  return Buffer.from(JSON.stringify([sort, sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 3 && ROOM_SORTS[decoded[0]] && decoded[2] !== null) {
+      return { sort: decoded[0], sortValue: decoded[1], id: decoded[2] };
+    }
+  } catch (e) {
+    // fall through
+  }
+  return null;
+}
+
+/**
+ * Parse and validate browse query parameters.
+ * Returns { options } or { error } with a message for a 400 response.
+ */
+function parseBrowseOptions(query) {
+  const { q, radius, sort, cursor, limit, offset } = query;
+
+  // Keyword search across title, description and amenities
+  const keywords = typeof q === 'string' ? q.trim() : '';
+
+  // Center point for radius search and distance sorting
+  const hasCenter = query.lat !== undefined || query.lng !== undefined;
+  const center = hasCenter
+    ? { lat: parseLatitude(query.lat), lng: parseLongitude(query.lng) }
+    : null;
+
+  if (hasCenter && (center.lat === null || center.lng === null)) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+
+  const radiusKm = radius !== undefined ? parseFloat(radius) : null;
+  if (radiusKm !== null && (isNaN(radiusKm) || radiusKm <= 0 || !hasCenter)) {
+    return { error: 'radius must be a positive number of km and requires lat and lng' };
+  }
+
+  // Visible map area: south-west and north-east corners
+  const boundsKeys = ['swLat', 'swLng', 'neLat', 'neLng'];
+  const hasBounds = boundsKeys.some(key => query[key] !== undefined);
+  const bounds = hasBounds
+    ? {
+      swLat: parseLatitude(query.swLat),
+      swLng: parseLongitude(query.swLng),
+      neLat: parseLatitude(query.neLat),
+      neLng: parseLongitude(query.neLng),
+    }
+    : null;
+
+  if (hasBounds && boundsKeys.some(key => bounds[key] === null)) {
+    return { error: 'swLat, swLng, neLat and neLng must all be valid coordinates' };
+  }
+
+  // Keyword searches rank by relevance unless another order is asked for
+  const sortMode = sort || (keywords ? 'relevance' : 'newest');
+  const sortSpec = ROOM_SORTS[sortMode];
+
+  if (!sortSpec) {
+    return { error: `Invalid sort. Must be one of: ${Object.keys(ROOM_SORTS).join(', ')}` };
+  }
+
+  if (sortSpec.requires === 'center' && !hasCenter) {
+    return { error: 'Sorting by distance requires lat and lng' };
+  }
+
+  if (sortSpec.requires === 'keywords' && !keywords) {
+    return { error: 'Sorting by relevance requires q' };
+  }
+
+  // Lease filters: move-in date, planned lease length and deposit ceiling
+  const availableBy = query.availableBy !== undefined ? parseDateOnly(query.availableBy) : null;
+  if (query.availableBy !== undefined && availableBy === null) {
+    return { error: 'availableBy must be a date in YYYY-MM-DD format' };
+  }
+
+  const leaseMonths = query.leaseMonths !== undefined ? parseInt(query.leaseMonths, 10) : null;
+  if (leaseMonths !== null && (isNaN(leaseMonths) || leaseMonths < 1)) {
+    return { error: 'leaseMonths must be a positive number of months' };
+  }
+
+  const maxDeposit = query.maxDeposit !== undefined ? parseFloat(query.maxDeposit) : null;
+  if (maxDeposit !== null && (isNaN(maxDeposit) || maxDeposit < 0)) {
+    return { error: 'maxDeposit must be a number of 0 or more' };
+  }
+
+  // Currency of minPrice, maxPrice and maxDeposit; the route falls back to
+  // the viewer's preferred currency when it is not given
+  const currency = query.currency !== undefined ? parseCurrency(query.currency) : null;
+  if (query.currency !== undefined && !currency) {
+    return { error: `Invalid currency. Must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+
+  // Any level of the location hierarchy; includes everything below it
+  const locationId = query.locationId !== undefined ? parseInt(query.locationId, 10) : null;
+  if (locationId !== null && (isNaN(locationId) || locationId < 1)) {
+    return { error: 'locationId must be a location id' };
+  }
+
+  // Catalog amenity keys; rooms must have all of them
+  const amenityKeys = query.amenities !== undefined
+    ? [...new Set(String(query.amenities).split(',').map(key => key.trim().toLowerCase()).filter(Boolean))]
+    : [];
+  if (amenityKeys.some(key => !/^[a-z0-9_]+$/.test(key))) {
+    return { error: 'amenities must be a comma-separated list of amenity keys' };
+  }
+
+  const decodedCursor = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !decodedCursor) {
+    return { error: 'Invalid cursor' };
+  }
+  if (decodedCursor && decodedCursor.sort !== sortMode) {
+    return { error: 'Cursor was issued for a different sort. Start again without a cursor.' };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    options: {
+      filters: query,
+      keywords,
+      center,
+      radiusKm,
+      bounds,
+      availableBy,
+      leaseMonths,
+      maxDeposit,
+      amenityKeys,
+      locationId,
+      currency,
+      sort: sortMode,
+      cursor: decodedCursor,
+      limit: pageSize,
+      // Legacy offset paging, only used when no cursor is sent
+      offset: decodedCursor ? 0 : Math.max(parseInt(offset, 10) || 0, 0),
+    },
+  };
+}
+
+/**
+ * Build the WHERE conditions (room alias "r") for a browse request.
+ * `baseConditions` and `baseParams` scope the search, e.g. to one owner.
+ */
+function buildRoomFilters(options, baseConditions = [], baseParams = []) {
+  const { filters, keywords, center, radiusKm, bounds, availableBy, leaseMonths, maxDeposit, amenityKeys } = options;
+  const conditions = [PUBLIC_ROOM_CONDITION, ...baseConditions];
+  const params = [...baseParams];
+  const currency = options.currency || BASE_CURRENCY;
+
+  if (filters.location) {
+    conditions.push('r.location = ?');
+    params.push(filters.location);
+  }
+
+  if (options.locationId) {
+    conditions.push(locationSubtreeSql('r.locationId'));
+    params.push(options.locationId);
+  }
+
+  if (filters.roomType) {
+    conditions.push('r.roomType = ?');
+    params.push(filters.roomType);
+  }
+
+  // Price limits are converted to USD on both sides
+  if (filters.minPrice) {
+    conditions.push(`(${ROOM_PRICE_BASE_SQL} >= ${BOUND_AMOUNT_BASE_SQL} OR r.isFree = 1)`);
+    params.push(parseFloat(filters.minPrice), currency);
+  }
+
+  if (filters.maxPrice) {
+    conditions.push(`(${ROOM_PRICE_BASE_SQL} <= ${BOUND_AMOUNT_BASE_SQL} OR r.isFree = 1)`);
+    params.push(parseFloat(filters.maxPrice), currency);
+  }
+
+  // Unset lease terms mean available now, no minimum lease and no deposit
+  if (availableBy) {
+    conditions.push('(r.availableFrom IS NULL OR r.availableFrom <= ?)');
+    params.push(availableBy);
+  }
+
+  if (leaseMonths !== null) {
+    conditions.push('(r.minLeaseMonths IS NULL OR r.minLeaseMonths <= ?)');
+    params.push(leaseMonths);
+  }
+
+  if (maxDeposit !== null) {
+    conditions.push(`COALESCE(${ROOM_DEPOSIT_BASE_SQL}, 0) <= ${BOUND_AMOUNT_BASE_SQL}`);
+    params.push(maxDeposit, currency);
+  }
+
+  if (amenityKeys.length > 0) {
+    conditions.push(`r.id IN (
+      SELECT ra.roomId FROM room_amenities ra
+      WHERE ra.amenityKey IN (?)
+      GROUP BY ra.roomId
+      HAVING COUNT(*) = ?
+    )`);
+    params.push(amenityKeys, amenityKeys.length);
+  }
+
+  if (keywords) {
+    conditions.push(ROOM_MATCH_SQL);
+    params.push(keywords);
+  }
+
+  if (radiusKm !== null) {
+    // Box pre-filter uses the coordinate index, the exact distance check trims the corners
+    const box = boundingBox(center.lat, center.lng, radiusKm);
+    conditions.push(`r.latitude BETWEEN ? AND ? AND r.longitude BETWEEN ? AND ?
+      AND ${DISTANCE_KM_SQL} <= ?`);
+    params.push(box.minLat, box.maxLat, box.minLng, box.maxLng, center.lng, center.lat, radiusKm);
+  }
+
+  if (bounds) {
+    conditions.push('r.latitude BETWEEN ? AND ? AND r.longitude BETWEEN ? AND ?');
+    params.push(
+      Math.min(bounds.swLat, bounds.neLat),
+      Math.max(bounds.swLat, bounds.neLat),
+      Math.min(bounds.swLng, bounds.neLng),
+      Math.max(bounds.swLng, bounds.neLng)
+    );
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Fetch one page of public rooms with owner info and ratings, plus the
+ * total number of matches. Pages are keyset-paginated on the sort key and
+ * room id, so rooms posted while scrolling never shift later pages.
+ */
+async function fetchRoomPage(connection, options, { where, params }, viewerUid = null) {
+  const { keywords, center, sort, cursor, limit, offset } = options;
+  const sortSpec = ROOM_SORTS[sort];
+
+  const selectParams = [];
+  if (center) selectParams.push(center.lng, center.lat);
+  if (keywords) selectParams.push(keywords);
+  if (viewerUid) selectParams.push(viewerUid);
+
+  let query = `SELECT t.*, ${sortSpec.key} as sortKey
+    FROM (
+      SELECT
+        r.id,
+        r.uid,
+        r.subscriptionId,
+        r.title,
+        r.description,
+        r.price,
+        r.priceCurrency,
+        ${ROOM_PRICE_BASE_SQL} as basePrice,
+        r.location,
+        r.locationId,
+        r.address,
+        r.roomType,
+        r.dimension,
+        r.bedroom,
+        r.bathroom,
+        r.floor,
+        r.amenities,
+        r.images,
+        r.isFree,
+        r.availableFrom,
+        r.minLeaseMonths,
+        r.deposit,
+        r.utilitiesIncluded,
+        r.utilitiesCost,
+        r.status,
+        r.latitude,
+        r.longitude,
+        r.createdAt,
+        r.updatedAt,
+        u.firstName as ownerFirstName,
+        u.lastName as ownerLastName,
+        u.imageUrl as ownerImageUrl,
+        (SELECT COALESCE(AVG(rev.rating), 0) FROM reviews rev WHERE rev.landlordUid = r.uid) as ownerRating,
+        (SELECT ri.thumbnailUrl FROM room_images ri WHERE ri.roomId = r.id AND ri.isCover = 1 LIMIT 1) as coverThumbnailUrl
+        ${center ? `, ${DISTANCE_KM_SQL} as distance` : ''}
+        ${keywords ? `, ${ROOM_MATCH_SQL} as relevance` : ''}
+        ${viewerUid ? ', EXISTS(SELECT 1 FROM room_favorites f WHERE f.roomId = r.id AND f.uid = ?) as isFavorited' : ''}
+      FROM room_postings r
+      LEFT JOIN users u ON r.uid = u.uid
+      WHERE ${where}
+    ) t`;
+  const queryParams = [...selectParams, ...params];
+
+  if (cursor) {
+    const comparison = sortSpec.direction === 'DESC' ? '<' : '>';
+    query += ` WHERE (${sortSpec.key} ${comparison} ? OR (${sortSpec.key} = ? AND t.id ${comparison} ?))`;
+    queryParams.push(cursor.sortValue, cursor.sortValue, cursor.id);
+  }
+
+  query += ` ORDER BY sortKey ${sortSpec.direction}, t.id ${sortSpec.direction} LIMIT ? OFFSET ?`;
+  // One extra row tells us whether another page exists
+  queryParams.push(limit + 1, offset);
+
+  const [rows] = await connection.query(query, queryParams);
+  const [countRows] = await connection.query(
+    `SELECT COUNT(*) as total FROM room_postings r WHERE ${where}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows,
+    total: countRows[0].total,
+    hasMore: hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, last.sortKey, last.id) : null,
+  };
+}
+
+/**
+ * Lease term columns in response form: a plain date and a boolean flag.
+ */
+function formatLeaseTerms(room) {
+  return {
+    availableFrom: room.availableFrom ? parseDateOnly(room.availableFrom) : null,
+    utilitiesIncluded: room.utilitiesIncluded === null ? null : room.utilitiesIncluded === 1,
+  };
+}
+
+/**
+ * A room's price in the viewer's currency, or null for free rooms.
+ * `pricing` is { currency, rates }.
+ */
+function displayPrice(room, pricing) {
+  const amount = room.isFree ? null : convertAmount(room.price, room.priceCurrency, pricing.currency, pricing.rates);
+  return amount === null ? null : { amount, currency: pricing.currency };
+}
+
+/**
+ * Shape a browse row for the response.
+ */
+function formatBrowseRoom(room, options, viewerUid = null, pricing = null) {
+  const { sortKey, basePrice, ...rest } = room;
+  const terms = options.keywords ? searchTerms(options.keywords) : [];
+  const amenities = parseJsonField(room.amenities);
+
+  return {
+    ...rest,
+    amenities: amenities,
+    images: parseJsonField(room.images),
+    ...formatLeaseTerms(room),
+    ...(pricing && { displayPrice: displayPrice(room, pricing) }),
+    ...(options.center && {
+      distance: room.distance === null ? null : Math.round(room.distance * 100) / 100,
+    }),
+    ...(viewerUid && { isFavorited: room.isFavorited === 1 }),
+    ...(options.keywords && {
+      relevance: Number(room.relevance),
+      highlights: {
+        title: highlight(room.title, terms),
+        description: buildSnippet(room.description, terms),
+        amenities: amenities.filter(amenity =>
+          terms.some(term => String(amenity).toLowerCase().includes(term))
+        ),
+      },
+    }),
+  };
+}
+
+module.exports = {
+  ROOM_SORTS,
+  parseBrowseOptions,
+  buildRoomFilters,
+  fetchRoomPage,
+  formatBrowseRoom,
+  formatLeaseTerms,
+  displayPrice,
+};
@@ -0,0 +1,114 @@
+const { parseCsv, toCsv, unescapeCsvCell } = require('./csv');
+const { parseJsonField } = require('./jsonFields');
+const { parseDateOnly } = require('./dates');
+
+// Columns for bulk import, in export order. Amenities and images are
+// lists separated by LIST_SEPARATOR.
+const ROOM_CSV_COLUMNS = [
+  'title', 'description', 'price', 'priceCurrency', 'isFree',
+  'location', 'locationId', 'address', 'latitude', 'longitude',
+  'roomType', 'dimension', 'bedroom', 'bathroom', 'floor',
+  'amenities', 'images',
+  'availableFrom', 'minLeaseMonths', 'deposit', 'utilitiesIncluded', 'utilitiesCost',
+  'status',
+];
+
+// Export-only columns that import accepts and ignores
+const IGNORED_IMPORT_COLUMNS = ['id', 'createdAt', 'updatedAt'];
+
+const LIST_SEPARATOR = '|';
+// Imported postings start as drafts or go live; other statuses are set by later actions
+const IMPORT_STATUSES = ['draft', 'active'];
+const MAX_IMPORT_ROWS = 200;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Spreadsheet-style booleans; anything else is passed through for validation
+function parseCsvBoolean(value) {
+  const text = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return text === '' ? undefined : value;
+}
+
+function splitList(value) {
+  return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an import file into request-shaped room data.
+ * Returns { records: [{ row, data }] } where row is the spreadsheet row
+ * number (the header is row 1), or { error } for a file-level problem.
+ */
+function parseRoomCsv(text) {
+  const rows = parseCsv(text);
+
+  if (rows.length < 2) {
+    return { error: 'The CSV needs a header row and at least one posting' };
+  }
+
+  const header = rows[0].map(name => name.trim());
+  const unknown = header.filter(name => !ROOM_CSV_COLUMNS.includes(name) && !IGNORED_IMPORT_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Allowed: ${ROOM_CSV_COLUMNS.join(', ')}` };
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `A CSV import can create at most ${MAX_IMPORT_ROWS} postings` };
+  }
+
+  const records = rows.slice(1).map((cells, index) => {
+    const data = {};
+    header.forEach((name, column) => {
+      if (!ROOM_CSV_COLUMNS.includes(name)) return;
+      const value = unescapeCsvCell(cells[column] || '').trim();
+
+      if (name === 'amenities' || name === 'images') {
+        data[name] = splitList(value);
+      } else if (name === 'isFree' || name === 'utilitiesIncluded') {
+        data[name] = parseCsvBoolean(value);
+      } else if (value !== '') {
+        data[name] = value;
+      }
+    });
+    return { row: index + 2, data };
+  });
+
+  return { records };
+}
+
+/**
+ * Serialize room_postings rows as CSV with an id column followed by the
+ * import columns, so an export can be used as an import template.
+ */
+function roomsToCsv(rooms) {
+  const rows = rooms.map(room => [
+    room.id,
+    ...ROOM_CSV_COLUMNS.map(column => {
+      const value = room[column];
+      switch (column) {
+        case 'amenities':
+        case 'images':
+          return parseJsonField(value).join(` ${LIST_SEPARATOR} `);
+        case 'isFree':
+        case 'utilitiesIncluded':
+          return value === null || value === undefined ? '' : String(value === 1);
+        case 'availableFrom':
+          return value ? parseDateOnly(value) : '';
+        default:
+          return value;
+      }
+    }),
+  ]);
+
+  return toCsv([['id', ...ROOM_CSV_COLUMNS], ...rows]);
+}
+
+module.exports = {
+  ROOM_CSV_COLUMNS,
+  IMPORT_STATUSES,
+  MAX_IMPORT_ROWS,
+  parseRoomCsv,
+  roomsToCsv,
+};
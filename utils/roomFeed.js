@@ -0,0 +1,181 @@
+const { PUBLIC_ROOM_CONDITION } = require('./roomLifecycle');
+const { BASE_CURRENCY, toBaseSql, convertAmount, formatPriceText } = require('./currency');
+const { locationPath } = require('./locations');
+const { parseJsonField } = require('./jsonFields');
+
+// How much each factor counts towards a room's score (sums to 1)
+const FEED_WEIGHTS = {
+  budget: 0.4,
+  location: 0.3,
+  roomType: 0.15,
+  rating: 0.15,
+};
+
+// Newest public rooms considered for ranking
+const MAX_CANDIDATES = 500;
+
+// Rooms more than this far over budget score zero for budget
+const OVER_BUDGET_TOLERANCE = 0.5;
+
+/**
+ * Load candidate rooms for a renter: public, not their own and not dismissed.
+ */
+async function loadFeedCandidates(connection, uid) {
+  const [rows] = await connection.query(
+    `SELECT
+      r.id,
+      r.uid,
+      r.title,
+      r.description,
+      r.price,
+      r.priceCurrency,
+      ${toBaseSql('r.price', 'r.priceCurrency')} as basePrice,
+      r.location,
+      r.locationId,
+      r.address,
+      r.roomType,
+      r.dimension,
+      r.bedroom,
+      r.bathroom,
+      r.floor,
+      r.amenities,
+      r.images,
+      r.isFree,
+      r.availableFrom,
+      r.minLeaseMonths,
+      r.deposit,
+      r.utilitiesIncluded,
+      r.utilitiesCost,
+      r.status,
+      r.latitude,
+      r.longitude,
+      r.createdAt,
+      r.updatedAt,
+      u.firstName as ownerFirstName,
+      u.lastName as ownerLastName,
+      u.imageUrl as ownerImageUrl,
+      (SELECT COALESCE(AVG(rev.rating), 0) FROM reviews rev WHERE rev.landlordUid = r.uid) as ownerRating,
+      (SELECT COUNT(*) FROM reviews rev WHERE rev.landlordUid = r.uid) as ownerReviewCount,
+      (SELECT ri.thumbnailUrl FROM room_images ri WHERE ri.roomId = r.id AND ri.isCover = 1 LIMIT 1) as coverThumbnailUrl,
+      EXISTS(SELECT 1 FROM room_favorites f WHERE f.roomId = r.id AND f.uid = ?) as isFavorited
+    FROM room_postings r
+    LEFT JOIN users u ON r.uid = u.uid
+    WHERE ${PUBLIC_ROOM_CONDITION}
+      AND r.uid <> ?
+      AND NOT EXISTS (SELECT 1 FROM room_dismissals d WHERE d.uid = ? AND d.roomId = r.id)
+    ORDER BY r.createdAt DESC
+    LIMIT ?`,
+    [uid, uid, uid, MAX_CANDIDATES]
+  );
+  return rows;
+}
+
+function scoreBudget(room, budget) {
+  if (room.isFree) {
+    return { score: 1, reason: 'Free room' };
+  }
+  const price = room.basePrice === null ? null : Number(room.basePrice);
+  if (price === null || budget.max === null) {
+    return { score: 0.5, reason: null };
+  }
+  if (price <= budget.max) {
+    // Rooms well under budget are fine, but may not be what the renter wants
+    return price >= budget.min
+      ? { score: 1, reason: `Within your budget of ${budget.text}` }
+      : { score: 0.9, reason: `Under your budget of ${budget.text}` };
+  }
+  const over = (price - budget.max) / budget.max;
+  return { score: Math.max(0, 1 - over / OVER_BUDGET_TOLERANCE), reason: null };
+}
+
+function scoreLocation(room, preferences, byId) {
+  if (preferences.locationId && room.locationId) {
+    const roomPath = locationPath(byId, room.locationId).map(location => location.id);
+    const wantedPath = locationPath(byId, preferences.locationId);
+    const wanted = wantedPath[wantedPath.length - 1];
+
+    if (roomPath.includes(preferences.locationId)) {
+      return { score: 1, reason: `In ${wanted.nameEn}, your preferred area` };
+    }
+    // Next door: shares the parent khan (or city) of the preferred area
+    const parent = wantedPath[wantedPath.length - 2];
+    if (parent && roomPath.includes(parent.id)) {
+      return { score: parent.level === 'city' ? 0.2 : 0.6, reason: parent.level === 'city' ? null : `Near ${wanted.nameEn}` };
+    }
+    return { score: 0, reason: null };
+  }
+
+  if (preferences.location && room.location && preferences.location.toLowerCase() === room.location.toLowerCase()) {
+    return { score: 1, reason: `In ${room.location}, your preferred area` };
+  }
+  return { score: 0, reason: null };
+}
+
+function scoreRoomType(room, roomTypes) {
+  if (roomTypes.length === 0) {
+    return { score: 0.5, reason: null };
+  }
+  return roomTypes.includes(String(room.roomType).toLowerCase())
+    ? { score: 1, reason: `${room.roomType}, a room type you're looking for` }
+    : { score: 0, reason: null };
+}
+
+function scoreRating(room) {
+  if (!room.ownerReviewCount) {
+    return { score: 0.5, reason: null };
+  }
+  const rating = Number(room.ownerRating);
+  return {
+    score: rating / 5,
+    reason: rating >= 4 ? `Landlord rated ${rating.toFixed(1)}★` : null,
+  };
+}
+
+/**
+ * Score candidate rooms against a renter's roomie_matches preferences.
+ * Returns the rooms sorted best first, each with `score` (0-100),
+ * `scoreBreakdown` and `reasons` explaining the recommendation.
+ */
+function rankRooms(rooms, preferences, { rates, byId }) {
+  const budgetCurrency = preferences.budgetCurrency || BASE_CURRENCY;
+  const budget = {
+    min: convertAmount(preferences.minBudget, budgetCurrency, BASE_CURRENCY, rates) || 0,
+    max: convertAmount(preferences.maxBudget, budgetCurrency, BASE_CURRENCY, rates),
+    text: preferences.minBudget
+      ? `${formatPriceText(preferences.minBudget, budgetCurrency).replace('/month', '')}–${formatPriceText(preferences.maxBudget, budgetCurrency)}`
+      : `up to ${formatPriceText(preferences.maxBudget, budgetCurrency)}`,
+  };
+  const roomTypes = parseJsonField(preferences.preferredRoomTypes).map(type => String(type).toLowerCase());
+
+  return rooms
+    .map(room => {
+      const factors = {
+        budget: scoreBudget(room, budget),
+        location: scoreLocation(room, preferences, byId),
+        roomType: scoreRoomType(room, roomTypes),
+        rating: scoreRating(room),
+      };
+
+      let score = 0;
+      const scoreBreakdown = {};
+      for (const [factor, result] of Object.entries(factors)) {
+        scoreBreakdown[factor] = Math.round(result.score * FEED_WEIGHTS[factor] * 100);
+        score += result.score * FEED_WEIGHTS[factor];
+      }
+
+      return {
+        room,
+        score: Math.round(score * 100),
+        scoreBreakdown,
+        reasons: Object.values(factors).map(result => result.reason).filter(Boolean),
+      };
+    })
+    // Newer rooms first among equal scores
+    .sort((a, b) => b.score - a.score || new Date(b.room.createdAt) - new Date(a.room.createdAt));
+}
+
+module.exports = {
+  FEED_WEIGHTS,
+  loadFeedCandidates,
+  rankRooms,
+};
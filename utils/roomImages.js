@@ -0,0 +1,145 @@
+const storage = require('../storage');
+const { IMAGE_VARIANTS } = require('./imageProcessing');
+
+const MAX_IMAGES_PER_ROOM = 20;
+
+// Storage key of one variant of an uploaded image
+const variantKey = (storageKey, variant) => `${storageKey}/${variant}.jpg`;
+
+/**
+ * Load the managed images a posting wants to use, checking that each one
+ * belongs to the owner and is not attached to a different posting.
+ * Returns { images } in the requested order, or { error }.
+ */
+async function loadOwnedImages(connection, uid, imageIds, roomId = null) {
+  if (!Array.isArray(imageIds)) {
+    return { error: 'imageIds must be an array' };
+  }
+
+  const ids = imageIds.map(id => parseInt(id, 10));
+
+  if (ids.some(id => isNaN(id))) {
+    return { error: 'imageIds must contain image IDs' };
+  }
+
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'imageIds must not contain duplicates' };
+  }
+
+  if (ids.length > MAX_IMAGES_PER_ROOM) {
+    return { error: `A posting can have at most ${MAX_IMAGES_PER_ROOM} images` };
+  }
+
+  if (ids.length === 0) {
+    return { images: [] };
+  }
+
+  const [rows] = await connection.query(
+    'SELECT * FROM room_images WHERE id IN (?) AND uid = ?',
+    [ids, uid]
+  );
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const missing = ids.filter(id => !byId.has(id));
+
+  if (missing.length > 0) {
+    return { error: `Images not found: ${missing.join(', ')}` };
+  }
+
+  const taken = rows.filter(row => row.roomId !== null && String(row.roomId) !== String(roomId));
+  if (taken.length > 0) {
+    return { error: `Images already used by another posting: ${taken.map(row => row.id).join(', ')}` };
+  }
+
+  return { images: ids.map(id => byId.get(id)) };
+}
+
+/**
+ * Order images with the cover first, as stored in room_postings.images.
+ * Returns the cover id, or { error } if it is not one of the images.
+ */
+function resolveCover(images, coverImageId) {
+  if (coverImageId === undefined || coverImageId === null || coverImageId === '') {
+    return { coverId: images.length > 0 ? images[0].id : null };
+  }
+
+  const coverId = parseInt(coverImageId, 10);
+  if (!images.some(image => image.id === coverId)) {
+    return { error: 'coverImageId must be one of imageIds' };
+  }
+  return { coverId };
+}
+
+// Image URLs for room_postings.images, cover first
+function imageUrls(images, coverId) {
+  const cover = images.filter(image => image.id === coverId);
+  const rest = images.filter(image => image.id !== coverId);
+  return [...cover, ...rest].map(image => image.url);
+}
+
+/**
+ * Attach images to a posting in order, detaching any it no longer uses.
+ * Run inside the posting's transaction: the images are locked and checked
+ * again, so a concurrent posting or delete can't take them in between.
+ * Returns { error } if one of them is gone or now used by another posting.
+ */
+async function attachRoomImages(connection, roomId, images, coverId) {
+  const ids = images.map(image => image.id);
+
+  if (ids.length > 0) {
+    const [rows] = await connection.query(
+      'SELECT id, roomId FROM room_images WHERE id IN (?) FOR UPDATE',
+      [ids]
+    );
+    const taken = rows.filter(row => row.roomId !== null && String(row.roomId) !== String(roomId));
+    if (rows.length !== ids.length || taken.length > 0) {
+      return { error: 'Some of the images were deleted or used by another posting. Please try again.' };
+    }
+  }
+
+  await connection.query(
+    `UPDATE room_images SET roomId = NULL, position = 0, isCover = 0
+     WHERE roomId = ?${ids.length > 0 ? ' AND id NOT IN (?)' : ''}`,
+    ids.length > 0 ? [roomId, ids] : [roomId]
+  );
+
+  for (const [position, image] of images.entries()) {
+    await connection.query(
+      'UPDATE room_images SET roomId = ?, position = ?, isCover = ? WHERE id = ?',
+      [roomId, position, image.id === coverId ? 1 : 0, image.id]
+    );
+  }
+
+  return {};
+}
+
+/**
+ * Managed images of a posting in display order.
+ */
+async function getRoomPhotos(connection, roomId) {
+  const [rows] = await connection.query(
+    `SELECT id, url, mediumUrl, thumbnailUrl, width, height, position, isCover
+     FROM room_images WHERE roomId = ? ORDER BY position ASC, id ASC`,
+    [roomId]
+  );
+  return rows.map(row => ({ ...row, isCover: row.isCover === 1 }));
+}
+
+/**
+ * Delete the stored files of an image. Missing files are ignored.
+ */
+async function removeImageFiles(image) {
+  await Promise.all(
+    Object.keys(IMAGE_VARIANTS).map(variant => storage.remove(variantKey(image.storageKey, variant)))
+  );
+}
+
+module.exports = {
+  variantKey,
+  loadOwnedImages,
+  resolveCover,
+  imageUrls,
+  attachRoomImages,
+  getRoomPhotos,
+  removeImageFiles,
+};
@@ -0,0 +1,139 @@
+const pool = require('../config/db');
+const { LANDLORD_PLAN_TYPES } = require('./subscriptionPlans');
+
+// Lifecycle of a room posting. 'expired' is only ever set by the system
+// when the linked subscription lapses.
+const ROOM_STATUSES = ['draft', 'active', 'paused', 'rented', 'expired'];
+
+// Status changes an owner may request, keyed by current status
+const OWNER_TRANSITIONS = {
+  draft: ['active'],
+  active: ['paused', 'rented'],
+  paused: ['active', 'rented'],
+  rented: ['active', 'paused'],
+  expired: ['active'],
+};
+
+// SQL condition (room alias "r") for postings the public may see.
+// The subscription check keeps lapsed postings hidden between expiry sweeps;
+// reported or moderated postings and suspended landlords are hidden too.
+const PUBLIC_ROOM_CONDITION = `r.status = 'active'
+  AND r.moderationStatus = 'visible'
+  AND NOT EXISTS (
+    SELECT 1 FROM subscriptions s
+    WHERE s.id = r.subscriptionId AND s.expiresAt <= NOW()
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM users su
+    WHERE su.uid = r.uid AND su.isSuspended = 1
+  )`;
+
+function canTransition(from, to) {
+  return (OWNER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Record a change set in room_posting_revisions.
+ */
+async function recordRoomRevision(connection, roomId, uid, changes) {
+  await connection.query(
+    'INSERT INTO room_posting_revisions (roomId, uid, changes, createdAt) VALUES (?, ?, ?, NOW())',
+    [roomId, uid, JSON.stringify(changes)]
+  );
+}
+
+/**
+ * Find the landlord subscription a posting can be published under.
+ * Returns { subscription } or { reason } with one of
+ * 'no_subscription', 'subscription_expired' or 'per_post_used'.
+ * Pass excludeRoomId when re-publishing an existing posting so it does
+ * not count against its own per_post slot. Drafts never use up the slot;
+ * publishing one does.
+ */
+async function findUsableSubscription(connection, uid, excludeRoomId = null) {
+  const [subscriptionRows] = await connection.query(
+    'SELECT * FROM subscriptions WHERE uid = ? AND planType IN (?) AND status = "active" ORDER BY createdAt DESC LIMIT 1',
+    [uid, LANDLORD_PLAN_TYPES]
+  );
+
+  if (subscriptionRows.length === 0) {
+    return { reason: 'no_subscription' };
+  }
+
+  const subscription = subscriptionRows[0];
+
+  if (new Date(subscription.expiresAt) <= new Date()) {
+    await connection.query(
+      'UPDATE subscriptions SET status = "expired" WHERE id = ?',
+      [subscription.id]
+    );
+    return { reason: 'subscription_expired' };
+  }
+
+  if (subscription.planType === 'per_post') {
+    const [postRows] = await connection.query(
+      "SELECT COUNT(*) as postCount FROM room_postings WHERE uid = ? AND subscriptionId = ? AND id <> ? AND status <> 'draft'",
+      [uid, subscription.id, excludeRoomId || 0]
+    );
+
+    if (postRows[0].postCount >= 1) {
+      return { reason: 'per_post_used', subscription };
+    }
+  }
+
+  return { subscription };
+}
+
+/**
+ * Move active and paused postings whose subscription has passed its
+ * expiresAt into 'expired', recording a revision for each.
+ * Limit the sweep to one owner by passing uid.
+ */
+async function expireLapsedPostings(db = pool, uid = null) {
+  const ownerFilter = uid ? ' AND r.uid = ?' : '';
+  const params = uid ? [uid] : [];
+
+  const [rows] = await db.query(
+    `SELECT r.id, r.status
+     FROM room_postings r
+     INNER JOIN subscriptions s ON s.id = r.subscriptionId
+     WHERE r.status IN ('active', 'paused') AND s.expiresAt <= NOW()${ownerFilter}`,
+    params
+  );
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const ids = rows.map(row => row.id);
+
+  await db.query(
+    `UPDATE room_postings
+     SET status = 'expired', statusChangedAt = NOW(), updatedAt = NOW()
+     WHERE id IN (?) AND status IN ('active', 'paused')`,
+    [ids]
+  );
+
+  await db.query(
+    'INSERT INTO room_posting_revisions (roomId, uid, changes, createdAt) VALUES ?',
+    [rows.map(row => [
+      row.id,
+      'system',
+      JSON.stringify({ status: { from: row.status, to: 'expired' } }),
+      new Date(),
+    ])]
+  );
+
+  console.log(`roomLifecycle: Expired ${ids.length} room postings`);
+  return ids.length;
+}
+
+module.exports = {
+  ROOM_STATUSES,
+  OWNER_TRANSITIONS,
+  PUBLIC_ROOM_CONDITION,
+  canTransition,
+  recordRoomRevision,
+  findUsableSubscription,
+  expireLapsedPostings,
+};
@@ -0,0 +1,127 @@
+const { parseJsonField } = require('./jsonFields');
+const { BASE_CURRENCY, convertAmount } = require('./currency');
+const { locationPath } = require('./locations');
+
+const envWeight = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Relative weight of each factor in the compatibility score.
+// Override with MATCH_WEIGHT_* env vars; they don't need to sum to 1.
+const COMPATIBILITY_WEIGHTS = {
+  lifestyles: envWeight('MATCH_WEIGHT_LIFESTYLES', 0.3),
+  interests: envWeight('MATCH_WEIGHT_INTERESTS', 0.2),
+  budget: envWeight('MATCH_WEIGHT_BUDGET', 0.25),
+  location: envWeight('MATCH_WEIGHT_LOCATION', 0.15),
+  age: envWeight('MATCH_WEIGHT_AGE', 0.1),
+};
+
+// An age gap this large (in years) or more scores zero; must be a positive integer
+const MAX_AGE_GAP = (() => {
+  const value = Number(process.env.MATCH_MAX_AGE_GAP);
+  return Number.isInteger(value) && value > 0 ? value : 10;
+})();
+
+function normalizedSet(field) {
+  return new Set(
+    parseJsonField(field)
+      .map(item => String(item).trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+// Shared items over all items; two empty lists say nothing either way
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function budgetRange(profile, rates) {
+  const currency = profile.budgetCurrency || BASE_CURRENCY;
+  return {
+    min: convertAmount(profile.minBudget, currency, BASE_CURRENCY, rates),
+    max: convertAmount(profile.maxBudget, currency, BASE_CURRENCY, rates),
+  };
+}
+
+// How much of the narrower budget range the two ranges share, in USD
+function budgetOverlap(a, b, rates) {
+  const rangeA = budgetRange(a, rates);
+  const rangeB = budgetRange(b, rates);
+  if ([rangeA.min, rangeA.max, rangeB.min, rangeB.max].includes(null)) {
+    return 0;
+  }
+
+  const low = Math.max(rangeA.min, rangeB.min);
+  const high = Math.min(rangeA.max, rangeB.max);
+  if (high < low) {
+    return 0;
+  }
+  const narrowest = Math.min(rangeA.max - rangeA.min, rangeB.max - rangeB.min);
+  return narrowest <= 0 ? 1 : Math.min((high - low) / narrowest, 1);
+}
+
+// Same area (or one inside the other) scores 1, same khan 0.6, same city 0.2
+function locationAffinity(a, b, byId) {
+  if (a.locationId && b.locationId) {
+    const pathA = locationPath(byId, a.locationId).map(location => location.id);
+    const pathB = locationPath(byId, b.locationId).map(location => location.id);
+    if (pathA.includes(Number(b.locationId)) || pathB.includes(Number(a.locationId))) {
+      return 1;
+    }
+    const shared = pathA.filter(id => pathB.includes(id)).length;
+    return shared >= 2 ? 0.6 : shared === 1 ? 0.2 : 0;
+  }
+
+  return a.location && b.location && a.location.toLowerCase() === b.location.toLowerCase() ? 1 : 0;
+}
+
+function ageCloseness(a, b) {
+  // Number(null) and Number('') are 0, so a missing age must not count as one
+  if ([a.age, b.age].some(age => age === null || age === undefined || age === '')) {
+    return 0;
+  }
+  const gap = Math.abs(Number(a.age) - Number(b.age));
+  if (!Number.isFinite(gap)) {
+    return 0;
+  }
+  return Math.max(0, 1 - gap / MAX_AGE_GAP);
+}
+
+/**
+ * Score how compatible two roomie_matches profiles are.
+ * Returns { score, scoreBreakdown }: score is 0-100 and the breakdown
+ * holds each factor's share of it.
+ */
+function scoreCompatibility(viewer, candidate, { rates, byId }) {
+  const factors = {
+    lifestyles: jaccard(normalizedSet(viewer.lifestyles), normalizedSet(candidate.lifestyles)),
+    interests: jaccard(normalizedSet(viewer.interests), normalizedSet(candidate.interests)),
+    budget: budgetOverlap(viewer, candidate, rates),
+    location: locationAffinity(viewer, candidate, byId),
+    age: ageCloseness(viewer, candidate),
+  };
+
+  const totalWeight = Object.values(COMPATIBILITY_WEIGHTS).reduce((sum, weight) => sum + weight, 0) || 1;
+  const scoreBreakdown = {};
+  let score = 0;
+  for (const [factor, value] of Object.entries(factors)) {
+    const share = (value * COMPATIBILITY_WEIGHTS[factor]) / totalWeight;
+    scoreBreakdown[factor] = Math.round(share * 100);
+    score += share;
+  }
+
+  return { score: Math.round(score * 100), scoreBreakdown };
+}
+
+module.exports = {
+  COMPATIBILITY_WEIGHTS,
+  scoreCompatibility,
+};
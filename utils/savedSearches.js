@@ -0,0 +1,89 @@
+const pool = require('../config/db');
+const { sendNotification } = require('./notifications');
+const { parseAmenities, normalizeAmenityName, loadAmenityCatalog } = require('./amenities');
+const { BASE_CURRENCY, toBaseSql, loadExchangeRates, convertAmount, formatPriceText } = require('./currency');
+const { loadLocations, locationPath } = require('./locations');
+
+// Saved search price limits in USD
+const MIN_PRICE_BASE_SQL = toBaseSql('saved_searches.minPrice', 'saved_searches.priceCurrency');
+const MAX_PRICE_BASE_SQL = toBaseSql('saved_searches.maxPrice', 'saved_searches.priceCurrency');
+
+// True if the room offers every amenity the saved search asks for.
+// Names are compared by catalog key, so "AC" matches "Air conditioning".
+function hasAllAmenities(roomAmenities, wanted, catalog) {
+  const toKey = (item) => catalog.keyFor(item) || normalizeAmenityName(item);
+  const available = parseAmenities(roomAmenities).map(toKey);
+  return parseAmenities(wanted).every(item => available.includes(toKey(item)));
+}
+
+/**
+ * Find active saved searches (other than the owner's own) that a room matches.
+ * `room` needs id, uid, location, locationId, roomType, price, priceCurrency,
+ * isFree and amenities. Prices are compared in USD. Searches with a
+ * locationId match rooms anywhere inside that area; older ones without
+ * one compare the location text.
+ */
+async function findMatchingSavedSearches(room, db = pool) {
+  const rates = await loadExchangeRates(db);
+  const price = convertAmount(room.price, room.priceCurrency, BASE_CURRENCY, rates);
+  const isFree = room.isFree ? 1 : 0;
+
+  // The room's area and every area containing it
+  const { byId } = await loadLocations(db);
+  const roomAreas = room.locationId ? locationPath(byId, room.locationId).map(location => location.id) : [];
+
+  const [searches] = await db.query(
+    `SELECT * FROM saved_searches
+     WHERE isPaused = 0
+       AND uid <> ?
+       AND (
+         (locationId IS NULL AND (location IS NULL OR location = ?))
+         OR locationId IN (?)
+       )
+       AND (roomType IS NULL OR roomType = ?)
+       AND (minPrice IS NULL OR ? = 1 OR ? >= ${MIN_PRICE_BASE_SQL})
+       AND (maxPrice IS NULL OR ? = 1 OR ? <= ${MAX_PRICE_BASE_SQL})`,
+    [room.uid, room.location, roomAreas.length > 0 ? roomAreas : [0], room.roomType, isFree, price, isFree, price]
+  );
+
+  const catalog = await loadAmenityCatalog(db);
+  return searches.filter(search => hasAllAmenities(room.amenities, search.amenities, catalog));
+}
+
+/**
+ * Notify the owners of saved searches that match a newly published room.
+ * Failures are logged so they never affect the request that published it.
+ */
+async function notifySavedSearchMatches(room, db = pool) {
+  try {
+    const searches = await findMatchingSavedSearches(room, db);
+    const priceText = room.isFree ? 'Free' : formatPriceText(room.price, room.priceCurrency || BASE_CURRENCY);
+
+    for (const search of searches) {
+      await sendNotification({
+        recipientUid: search.uid,
+        senderUid: room.uid,
+        title: `New room for "${search.name}"`,
+        body: [room.title, room.location, priceText].filter(Boolean).join(' · '),
+        data: {
+          type: 'saved_search_match',
+          roomId: String(room.id),
+          savedSearchId: String(search.id),
+        },
+      }, db);
+
+      await db.query('UPDATE saved_searches SET lastNotifiedAt = NOW() WHERE id = ?', [search.id]);
+    }
+
+    if (searches.length > 0) {
+      console.log(`savedSearches: Notified ${searches.length} saved searches about room ${room.id}`);
+    }
+  } catch (error) {
+    console.error('savedSearches: Failed to notify matches for room', room.id, ':', error);
+  }
+}
+
+module.exports = {
+  findMatchingSavedSearches,
+  notifySavedSearchMatches,
+};
@@ -0,0 +1,66 @@
+const SNIPPET_LENGTH = 160;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a search query into the distinct lowercase terms worth highlighting.
+ */
+function searchTerms(q) {
+  const terms = String(q || '')
+    .toLowerCase()
+    .split(/[\s,.;:!?"'()+\-*~<>@]+/)
+    .filter(term => term.length >= 2);
+  return [...new Set(terms)];
+}
+
+/**
+ * HTML-escape text and wrap every occurrence of a term in <mark>.
+ */
+function highlight(text, terms) {
+  const escaped = escapeHtml(text || '');
+  if (terms.length === 0) {
+    return escaped;
+  }
+  const pattern = new RegExp(`(${terms.map(term => escapeRegExp(escapeHtml(term))).join('|')})`, 'gi');
+  return escaped.replace(pattern, '<mark>$1</mark>');
+}
+
+/**
+ * Cut a window of text around the first matching term and highlight it.
+ * Falls back to the start of the text when nothing matches.
+ */
+function buildSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text || '');
+  if (source.length <= length) {
+    return highlight(source, terms);
+  }
+
+  const lower = source.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.indexOf(term))
+    .filter(index => index >= 0)
+    .reduce((min, index) => Math.min(min, index), Infinity);
+
+  let start = firstMatch === Infinity ? 0 : Math.max(firstMatch - Math.floor(length / 3), 0);
+  start = Math.min(start, source.length - length);
+  const end = start + length;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  return prefix + highlight(source.slice(start, end).trim(), terms) + suffix;
+}
+
+module.exports = {
+  searchTerms,
+  highlight,
+  buildSnippet,
+};
@@ -0,0 +1,29 @@
+// Paid plans. Landlord plans let a landlord publish postings; the renter
+// plan raises the daily like quota. Amounts are in US cents.
+const PLANS = {
+  per_post: { audience: 'landlord', amount: 200, durationDays: 30 },
+  monthly: { audience: 'landlord', amount: 1000, durationDays: 30 },
+  yearly: { audience: 'landlord', amount: 8000, durationDays: 365 },
+  renter_premium: { audience: 'renter', amount: 300, durationDays: 30 },
+};
+
+const planTypesFor = (audience) => Object.keys(PLANS).filter(planType => PLANS[planType].audience === audience);
+
+const LANDLORD_PLAN_TYPES = planTypesFor('landlord');
+const RENTER_PLAN_TYPES = planTypesFor('renter');
+
+/**
+ * Look up a plan for an audience ('landlord' or 'renter').
+ * Returns null for unknown plans or plans meant for the other audience.
+ */
+function findPlan(planType, audience) {
+  const plan = PLANS[planType];
+  return plan && plan.audience === audience ? plan : null;
+}
+
+module.exports = {
+  PLANS,
+  LANDLORD_PLAN_TYPES,
+  RENTER_PLAN_TYPES,
+  findPlan,
+};